@@ -0,0 +1,186 @@
+/* scripts/cart_cadence.js
+   Agendador da cadência de recuperação de carrinho.
+   Para cada carrinho aberto e não recuperado, escolhe a etapa devida (CADENCE_STEPS,
+   contadas a partir de transacao_em), renderiza a mensagem (lib/cadence.js) e grava em
+   mensagens_outbox (sql/011) com status 'pending' para o disparador consumir.
+   Dedupe: uma mensagem por carrinho x etapa (índice único, para sempre) e uma por
+   cliente x etapa dentro de CADENCE_COOLDOWN_DAYS — o carrinho mais recente do cliente ganha.
+   A janela é intencional: quem abandona outro carrinho depois dela volta a receber a
+   cadência. Com CADENCE_COOLDOWN_DAYS=0 o cliente recebe cada etapa uma única vez.
+   Mensagens pendentes de carrinhos que sumiram do feed (closed) ou viraram pedido
+   (recovered_at) são canceladas.
+
+   Uso: node scripts/cart_cadence.js [--steps=1h,24h,72h] [--max-age=96h] [--cooldown-days=7] [--templates=arquivo.json]
+                                     [--now=ISO] [--dry-run] [--plan-file=...]
+*/
+
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { createStorageOrExit } = require('./lib/storage');
+const { createPlan, planAdd, printPlanSummary, writePlanFile } = require('./lib/plan');
+const { cartTime } = require('./lib/dates');
+const { selectAllPages, selectIn } = require('./lib/paging');
+const { parseSteps, dueStep, loadTemplates, buildMessage } = require('./lib/cadence');
+
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const supabase = createStorageOrExit(config);
+const STEPS = parseSteps(config.cadence.steps);
+// carts older than this get nothing (default: last step + 24h)
+const MAX_AGE_MS = config.cadence.maxAge
+  ? parseSteps(config.cadence.maxAge)[0].ms
+  : STEPS[STEPS.length - 1].ms + 24 * 3600 * 1000;
+const COOLDOWN_DAYS = config.cadence.cooldownDays;
+const TEMPLATES = loadTemplates(config.cadence.templatesFile);
+const NOW = args.flags.now ? new Date(args.flags.now) : new Date();
+const DRY_RUN = config.sync.dryRun;
+const PLAN_FILE = args.flags['plan-file'] || 'sync-plan-cadencia.json';
+const IN_CHUNK = 200;
+
+/* ---------------- helpers ---------------- */
+
+// same person across carts: canonical id (resolve_identities.js), else contact, else the cart
+function customerKey(c) {
+  if (c.cliente_canonico_id) return c.cliente_canonico_id;
+  if (c.email_normalizado) return `email:${c.email_normalizado}`;
+  if (c.celular_e164) return `tel:${c.celular_e164}`;
+  return `carrinho:${c.carrinho_id}`;
+}
+
+/* ---------------- stop cadence ---------------- */
+
+// pending messages whose cart is closed or recovered
+async function findCancellations() {
+  const pending = await selectAllPages(supabase, 'mensagens_outbox', 'id,carrinho_id', q => q.eq('status', 'pending'));
+  if (!pending.length) return [];
+  const carts = new Map((await selectIn(supabase, 'carrinhos', 'carrinho_id,status,recovered_at', 'carrinho_id', pending.map(m => m.carrinho_id)))
+    .map(c => [String(c.carrinho_id), c]));
+  const out = [];
+  for (const m of pending) {
+    const cart = carts.get(String(m.carrinho_id));
+    const motivo = !cart || cart.status === 'closed' ? 'closed' : cart.recovered_at ? 'recovered' : null;
+    if (motivo) out.push({ id: m.id, carrinho_id: m.carrinho_id, motivo });
+  }
+  return out;
+}
+
+async function cancelMessages(cancellations) {
+  let failed = 0;
+  const byMotivo = new Map();
+  for (const c of cancellations) {
+    if (!byMotivo.has(c.motivo)) byMotivo.set(c.motivo, []);
+    byMotivo.get(c.motivo).push(c.id);
+  }
+  for (const [motivo, ids] of byMotivo) {
+    for (let i = 0; i < ids.length; i += IN_CHUNK) {
+      const chunk = ids.slice(i, i + IN_CHUNK);
+      const { error } = await supabase.from('mensagens_outbox')
+        .update({ status: 'cancelled', motivo_cancelamento: motivo, cancelado_em: NOW.toISOString() })
+        .in('id', chunk)
+        .eq('status', 'pending');
+      if (error) {
+        console.error('Erro cancelando mensagens:', error);
+        failed += chunk.length;
+      }
+    }
+  }
+  return failed;
+}
+
+/* ------------------ main ------------------ */
+async function main() {
+  console.log(`→ Cadência de recuperação: etapas ${STEPS.map(s => s.etapa).join(', ')}, agora ${NOW.toISOString()}`);
+  const plan = DRY_RUN ? createPlan('cadencia', 'carrinhos x mensagens_outbox') : null;
+
+  const cancellations = await findCancellations();
+  console.log(`→ Mensagens pendentes a cancelar (carrinho fechado/recuperado): ${cancellations.length}`);
+
+  const carts = await selectAllPages(
+    supabase,
+    'carrinhos',
+    'carrinho_id,nome,email_normalizado,celular_e164,celular_tipo,total_valor,transacao_em,data_transacao,hora_transacao,first_seen,cliente_canonico_id',
+    q => q.eq('status', 'open').is('recovered_at', null)
+  );
+
+  const due = [];
+  for (const cart of carts) {
+    const ts = cartTime(cart);
+    if (ts === null) continue;
+    const step = dueStep(STEPS, NOW.getTime() - ts, MAX_AGE_MS);
+    if (step) due.push({ cart, step, ts, cliente: customerKey(cart) });
+  }
+  console.log(`→ Carrinhos abertos: ${carts.length}, com etapa devida: ${due.length}`);
+
+  // what was already queued: per cart (any time) and per customer (cooldown; 0 = any time)
+  const cooldownStart = COOLDOWN_DAYS > 0 ? new Date(NOW.getTime() - COOLDOWN_DAYS * 24 * 3600 * 1000).toISOString() : null;
+  const queuedForCart = new Set((await selectIn(supabase, 'mensagens_outbox', 'carrinho_id,etapa', 'carrinho_id', due.map(d => d.cart.carrinho_id)))
+    .map(m => `${m.carrinho_id}|${m.etapa}`));
+  const queuedForCustomer = new Set((await selectAllPages(supabase, 'mensagens_outbox', 'cliente_chave,etapa,status', q => (cooldownStart ? q.gte('criado_em', cooldownStart) : q)))
+    .filter(m => m.status !== 'cancelled')
+    .map(m => `${m.cliente_chave}|${m.etapa}`));
+
+  const products = new Map();
+  for (const p of await selectIn(supabase, 'carrinho_produtos_atual', 'carrinho_id_text,produto_codigo,nome_produto,imagem,quantidade,valor_total', 'carrinho_id_text', due.map(d => String(d.cart.carrinho_id)))) {
+    const k = String(p.carrinho_id_text);
+    if (!products.has(k)) products.set(k, []);
+    products.get(k).push(p);
+  }
+
+  const messages = [];
+  const skipped = { ja_enviada: 0, cliente_ja_recebeu: 0, sem_contato: 0 };
+  // newest cart first, so a customer's latest cart is the one that gets the step
+  for (const { cart, step, ts, cliente } of due.sort((a, b) => b.ts - a.ts)) {
+    const id = String(cart.carrinho_id);
+    if (queuedForCart.has(`${id}|${step.etapa}`)) { skipped.ja_enviada++; continue; }
+    if (queuedForCustomer.has(`${cliente}|${step.etapa}`)) { skipped.cliente_ja_recebeu++; continue; }
+    const msg = buildMessage(cart, products.get(id) || [], step, TEMPLATES);
+    if (!msg) { skipped.sem_contato++; continue; }
+    queuedForCustomer.add(`${cliente}|${step.etapa}`);
+    messages.push({
+      dedupe_key: `${id}:${step.etapa}`,
+      carrinho_id: id,
+      cliente_chave: cliente,
+      etapa: step.etapa,
+      canal: msg.canal,
+      destino: msg.destino,
+      assunto: msg.assunto,
+      texto: msg.texto,
+      imagens: msg.imagens,
+      variaveis: msg.variaveis,
+      status: 'pending',
+      agendado_para: new Date(ts + step.ms).toISOString(),
+      criado_em: NOW.toISOString()
+    });
+  }
+  console.log(`→ Mensagens novas: ${messages.length} (já enfileiradas ${skipped.ja_enviada}, cliente já recebeu a etapa ${skipped.cliente_ja_recebeu}, sem contato ${skipped.sem_contato})`);
+
+  if (plan) {
+    planAdd(plan, 'mensagens_outbox', 'cancel', cancellations);
+    planAdd(plan, 'mensagens_outbox', 'insert', messages);
+    printPlanSummary(plan);
+    writePlanFile(plan, PLAN_FILE);
+    return;
+  }
+
+  let failed = await cancelMessages(cancellations);
+  for (let i = 0; i < messages.length; i += IN_CHUNK) {
+    const chunk = messages.slice(i, i + IN_CHUNK);
+    // the unique dedupe_key makes a concurrent run a no-op instead of a second message
+    const { error } = await supabase.from('mensagens_outbox').upsert(chunk, { onConflict: 'dedupe_key', ignoreDuplicates: true });
+    if (error) {
+      console.error(`Erro gravando mensagens_outbox (offset ${i}):`, error);
+      failed += chunk.length;
+    }
+  }
+
+  if (failed) {
+    console.error(`Cadência terminou com ${failed} falhas.`);
+    process.exit(1);
+  }
+  console.log("Cadência concluída.");
+}
+
+main().catch(e => {
+  console.error("Fatal error", e);
+  process.exit(1);
+});
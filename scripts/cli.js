@@ -0,0 +1,74 @@
+/* scripts/cli.js
+   Ponto de entrada único. Cada subcomando roda o script correspondente em um processo
+   filho (mesmas flags, mesmo ambiente, mesmo código de saída); a configuração vem de
+   lib/config.js — padrão < arquivo (--config / SYNC_CONFIG / sync.config.json) < env < flags.
+
+   Uso: node scripts/cli.js sync carts [arquivo]           (padrão carrinhos.json)
+        node scripts/cli.js sync general [arquivo]         (padrão general.json)
+        node scripts/cli.js fetch [carts|general|all]
+        node scripts/cli.js validate [carts|general|all] [arquivo]
+        node scripts/cli.js replay <carts|general> (--dir=… | --git[=arquivo])
+        node scripts/cli.js diff <carts|general> <antigo> <novo> [--format=json]
+        … [--config=sync.config.json] [--dry-run] [--chunk-size=60] …
+*/
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { FEEDS } = require('./lib/feeds');
+
+const USAGE = `Uso: node scripts/cli.js <comando> [opções]
+
+  sync carts [arquivo]                  sincroniza carrinhos (padrão ${FEEDS.carts.file})
+  sync general [arquivo]                sincroniza clientes/pedidos/produtos (padrão ${FEEDS.general.file})
+  fetch [carts|general|all]             baixa os feeds para o cache
+  validate [carts|general|all] [arq]    valida config e caches, sem gravar nada
+  replay <carts|general> --dir=…|--git  reprocessa snapshots antigos em ordem (checkpoint, --fresh)
+  diff <carts|general> <antigo> <novo>  compara dois snapshots (--format=text|json, --out=arquivo)
+
+Opções comuns: --config=arquivo.json --dry-run --force-delete --max-failure-ratio=0.05
+               --storage=supabase|sqlite|postgres (banco local: --sqlite-file / --postgres-url)
+Veja scripts/lib/config.js para todas as chaves (flag / env / arquivo).`;
+
+const SYNC_TARGETS = {
+  carts: { script: 'sync_from_source.js', file: FEEDS.carts.file },
+  general: { script: 'sync_from_general.js', file: FEEDS.general.file }
+};
+
+// argv without the command words -> { script, argv } or null when the command is unknown
+function resolveCommand(argv) {
+  const positional = argv.filter(a => !a.startsWith('--'));
+  const flags = argv.filter(a => a.startsWith('--'));
+  const [command, ...rest] = positional;
+
+  if (command === 'sync') {
+    const target = SYNC_TARGETS[rest[0]];
+    if (!target) return null;
+    return { script: target.script, argv: [rest[1] || target.file, ...flags] };
+  }
+  if (command === 'fetch') return { script: 'fetch_feeds.js', argv: [rest[0] || 'all', ...flags] };
+  if (command === 'validate') return { script: 'validate_feeds.js', argv: [...rest, ...flags] };
+  if (command === 'replay') return { script: 'replay_snapshots.js', argv: [...rest, ...flags] };
+  if (command === 'diff') return { script: 'diff_snapshots.js', argv: [...rest, ...flags] };
+  return null;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  if (!argv.length || argv.includes('--help') || argv[0] === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  const resolved = resolveCommand(argv);
+  if (!resolved) {
+    console.error(`Comando desconhecido: ${argv.filter(a => !a.startsWith('--')).join(' ')}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const child = spawn(process.execPath, [path.join(__dirname, resolved.script), ...resolved.argv], { stdio: 'inherit' });
+  // forwarded so a cancelled workflow stops the sync too
+  for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, () => child.kill(signal));
+  child.on('exit', (code, signal) => process.exit(code ?? (signal ? 1 : 0)));
+}
+
+main();
@@ -0,0 +1,304 @@
+/* scripts/diff_snapshots.js
+   Compara dois snapshots de um feed pelo conteúdo, não pelo texto: os registros passam
+   pelos mesmos normalizadores do sync (lib/carts.js, lib/general_rows.js) e são casados
+   pela chave que o sync grava, então reordenação, formatação de valores ("R$ 1.234,50"
+   vs 1234.5) e campos irrelevantes não aparecem como diferença.
+     carts:   carrinhos novos / removidos (carrinho_id), itens adicionados, removidos ou com
+              quantidade / valor diferente (produto + tamanho + cor) e mudança de total_valor
+     general: clientes novos / removidos (codigo), mudança de valor_total_comprado;
+              pedidos novos / removidos (codigo_pedido), mudança de situacao_pedido e de
+              valor_total_pedido
+   Chaves sintéticas (clientes / pedidos sem código) são determinísticas, então casam
+   entre snapshots enquanto os dados que as formam não mudarem.
+   Aceita .json ou .json.gz (o arquivo de fetch_feeds.js). Nada é gravado no banco.
+   --format=json dá o diff completo; o texto lista até --limit linhas por seção.
+
+   Uso: node scripts/diff_snapshots.js <carts|general> <antigo> <novo>
+          [--format=text|json] [--out=arquivo] [--limit=50]
+        (ou node scripts/cli.js diff carts antigo.json novo.json)
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { feedArrayKeys } = require('./lib/feeds');
+const { moneyToNumber, feedItems, normalizeCarrinho } = require('./lib/carts');
+const { buildClienteRow, buildPedidoRows, resolveClienteCodigo, streamClientNodes } = require('./lib/general_rows');
+
+const FORMATS = ['text', 'json'];
+// money / quantities below this are the same value (float noise from the string parsing)
+const EPSILON = 0.005;
+
+const args = parseArgs(process.argv.slice(2));
+const [FEED_KEY, OLD_FILE, NEW_FILE] = args.positional;
+const FORMAT = String(args.flags.format || 'text');
+const LIMIT = args.flags.limit !== undefined ? Number(args.flags.limit) : 50;
+
+function fail(message) {
+  console.error(`✖ ${message}`);
+  process.exit(1);
+}
+
+function sameNumber(a, b) {
+  const missing = v => v === null || v === undefined;
+  if (missing(a) || missing(b)) return missing(a) && missing(b);
+  return Math.abs(Number(a) - Number(b)) < EPSILON;
+}
+
+function change(antes, depois) {
+  return { antes, depois };
+}
+
+// a .json.gz snapshot is gunzipped next to the others in tmpDir (general is read in stream)
+async function plainFile(file, tmpDir) {
+  if (!fs.existsSync(file)) fail(`Arquivo não encontrado: ${file}`);
+  if (!file.endsWith('.gz')) return file;
+  const dest = path.join(tmpDir, `${fs.readdirSync(tmpDir).length}-${path.basename(file, '.gz')}`);
+  await pipeline(fs.createReadStream(file), zlib.createGunzip(), fs.createWriteStream(dest));
+  return dest;
+}
+
+/* ---------------- carts ---------------- */
+
+// products of a cart by produto + tamanho + cor; repeated lines are summed
+function cartItems(produtos) {
+  const items = new Map();
+  for (const p of Array.isArray(produtos) ? produtos : []) {
+    if (!p || typeof p !== 'object') continue;
+    const codigo = p.codigo ?? null;
+    const key = [codigo ?? p.produto ?? '', p.tamanho ?? '', p.cor ?? ''].join('|');
+    const item = items.get(key) || { produto_codigo: codigo, nome_produto: p.produto ?? null, tamanho: p.tamanho ?? null, cor: p.cor ?? null, quantidade: 0, valor_total: null };
+    item.quantidade += parseInt(p.quantidade ?? 1) || 0;
+    const valor = moneyToNumber(p.valor_total);
+    if (valor !== null) item.valor_total = (item.valor_total ?? 0) + valor;
+    items.set(key, item);
+  }
+  return items;
+}
+
+function readCarts(file) {
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Erro parseando JSON de ${file}: ${e.message}`);
+  }
+  const carts = new Map();
+  let semChave = 0;
+  for (const item of feedItems(json)) {
+    if (!item || typeof item !== 'object') { semChave++; continue; }
+    const c = normalizeCarrinho(item);
+    if (!c.carrinho_id) { semChave++; continue; }
+    carts.set(c.carrinho_id, { carrinho_id: c.carrinho_id, nome: c.nome, total_valor: c.total_valor, itens: cartItems(c.produtos) });
+  }
+  return { itens: carts.size, sem_chave: semChave, carts };
+}
+
+function diffCartItems(before, after) {
+  const itens = { adicionados: [], removidos: [], alterados: [] };
+  for (const [key, item] of after) {
+    const old = before.get(key);
+    if (!old) { itens.adicionados.push(item); continue; }
+    const alterado = {};
+    if (old.quantidade !== item.quantidade) alterado.quantidade = change(old.quantidade, item.quantidade);
+    if (!sameNumber(old.valor_total, item.valor_total)) alterado.valor_total = change(old.valor_total, item.valor_total);
+    if (Object.keys(alterado).length) itens.alterados.push({ produto_codigo: item.produto_codigo, nome_produto: item.nome_produto, tamanho: item.tamanho, cor: item.cor, ...alterado });
+  }
+  for (const [key, item] of before) if (!after.has(key)) itens.removidos.push(item);
+  return itens;
+}
+
+function diffCarts(a, b) {
+  const carrinhos = { novos: [], removidos: [], alterados: [] };
+  const brief = c => ({ carrinho_id: c.carrinho_id, nome: c.nome, total_valor: c.total_valor, itens: c.itens.size });
+  for (const [id, cart] of b.carts) {
+    const old = a.carts.get(id);
+    if (!old) { carrinhos.novos.push(brief(cart)); continue; }
+    const itens = diffCartItems(old.itens, cart.itens);
+    const totalMudou = !sameNumber(old.total_valor, cart.total_valor);
+    if (!totalMudou && !itens.adicionados.length && !itens.removidos.length && !itens.alterados.length) continue;
+    carrinhos.alterados.push({ carrinho_id: id, nome: cart.nome, total_valor: totalMudou ? change(old.total_valor, cart.total_valor) : null, itens });
+  }
+  for (const [id, cart] of a.carts) if (!b.carts.has(id)) carrinhos.removidos.push(brief(cart));
+
+  const count = key => carrinhos.alterados.reduce((n, c) => n + c.itens[key].length, 0);
+  return {
+    resumo: {
+      carrinhos_novos: carrinhos.novos.length,
+      carrinhos_removidos: carrinhos.removidos.length,
+      carrinhos_alterados: carrinhos.alterados.length,
+      totais_alterados: carrinhos.alterados.filter(c => c.total_valor).length,
+      itens_adicionados: count('adicionados'),
+      itens_removidos: count('removidos'),
+      itens_alterados: count('alterados')
+    },
+    carrinhos
+  };
+}
+
+/* ---------------- general ---------------- */
+
+async function readGeneral(file, config) {
+  const clientes = new Map();
+  const pedidos = new Map();
+  let semChave = 0;
+  const itens = await streamClientNodes(file, feedArrayKeys('general', config), async (client) => {
+    if (!client || typeof client !== 'object' || Array.isArray(client)) { semChave++; return; }
+    const row = buildClienteRow(client);
+    const { codigo } = resolveClienteCodigo(client, row);
+    clientes.set(codigo, { codigo, nome: row.nome ?? null, valor_total_comprado: row.valor_total_comprado, total_pedidos: row.total_pedidos });
+    for (const p of buildPedidoRows(client, codigo)) {
+      pedidos.set(p.codigo_pedido, { codigo_pedido: p.codigo_pedido, cliente_codigo: p.cliente_codigo, situacao_pedido: p.situacao_pedido ?? null, valor_total_pedido: p.valor_total_pedido, data_hora_pedido: p.data_hora_pedido });
+    }
+  });
+  return { itens, sem_chave: semChave, clientes, pedidos };
+}
+
+function diffGeneral(a, b) {
+  const clientes = { novos: [], removidos: [], valor_alterado: [] };
+  for (const [codigo, c] of b.clientes) {
+    const old = a.clientes.get(codigo);
+    if (!old) clientes.novos.push(c);
+    else if (!sameNumber(old.valor_total_comprado, c.valor_total_comprado)) {
+      clientes.valor_alterado.push({ codigo, nome: c.nome, valor_total_comprado: change(old.valor_total_comprado, c.valor_total_comprado) });
+    }
+  }
+  for (const [codigo, c] of a.clientes) if (!b.clientes.has(codigo)) clientes.removidos.push(c);
+
+  const pedidos = { novos: [], removidos: [], situacao_alterada: [], valor_alterado: [] };
+  for (const [codigo, p] of b.pedidos) {
+    const old = a.pedidos.get(codigo);
+    if (!old) { pedidos.novos.push(p); continue; }
+    if ((old.situacao_pedido ?? null) !== (p.situacao_pedido ?? null)) {
+      pedidos.situacao_alterada.push({ codigo_pedido: codigo, cliente_codigo: p.cliente_codigo, situacao_pedido: change(old.situacao_pedido, p.situacao_pedido) });
+    }
+    if (!sameNumber(old.valor_total_pedido, p.valor_total_pedido)) {
+      pedidos.valor_alterado.push({ codigo_pedido: codigo, cliente_codigo: p.cliente_codigo, valor_total_pedido: change(old.valor_total_pedido, p.valor_total_pedido) });
+    }
+  }
+  for (const [codigo, p] of a.pedidos) if (!b.pedidos.has(codigo)) pedidos.removidos.push(p);
+
+  return {
+    resumo: {
+      clientes_novos: clientes.novos.length,
+      clientes_removidos: clientes.removidos.length,
+      clientes_valor_alterado: clientes.valor_alterado.length,
+      pedidos_novos: pedidos.novos.length,
+      pedidos_removidos: pedidos.removidos.length,
+      pedidos_situacao_alterada: pedidos.situacao_alterada.length,
+      pedidos_valor_alterado: pedidos.valor_alterado.length
+    },
+    clientes,
+    pedidos
+  };
+}
+
+/* ---------------- output ---------------- */
+
+function money(v) {
+  return v === null || v === undefined ? '—' : Number(v).toFixed(2);
+}
+
+function arrow({ antes, depois }, fmt = v => (v === null || v === undefined ? '—' : String(v))) {
+  return `${fmt(antes)} → ${fmt(depois)}`;
+}
+
+function section(lines, title, list, render) {
+  if (!list.length) return;
+  lines.push(`\n${title} (${list.length})`);
+  for (const item of list.slice(0, LIMIT)) lines.push(...[].concat(render(item)).map(l => `  ${l}`));
+  if (list.length > LIMIT) lines.push(`  … e mais ${list.length - LIMIT} (--format=json traz todos)`);
+}
+
+function itemLabel(i) {
+  const variante = [i.tamanho, i.cor].filter(Boolean).join('/');
+  return `${i.produto_codigo ?? '(sem código)'}${i.nome_produto ? ` ${i.nome_produto}` : ''}${variante ? ` [${variante}]` : ''}`;
+}
+
+function cartsText(diff, lines) {
+  const { carrinhos } = diff;
+  section(lines, 'Carrinhos novos', carrinhos.novos, c => `+ ${c.carrinho_id} ${c.nome ?? ''} total ${money(c.total_valor)}, ${c.itens} itens`);
+  section(lines, 'Carrinhos removidos', carrinhos.removidos, c => `- ${c.carrinho_id} ${c.nome ?? ''} total ${money(c.total_valor)}, ${c.itens} itens`);
+  section(lines, 'Carrinhos alterados', carrinhos.alterados, c => {
+    const out = [`~ ${c.carrinho_id} ${c.nome ?? ''}${c.total_valor ? ` total ${arrow(c.total_valor, money)}` : ''}`];
+    for (const i of c.itens.adicionados) out.push(`    + ${itemLabel(i)} x${i.quantidade} ${money(i.valor_total)}`);
+    for (const i of c.itens.removidos) out.push(`    - ${itemLabel(i)} x${i.quantidade} ${money(i.valor_total)}`);
+    for (const i of c.itens.alterados) {
+      const parts = [];
+      if (i.quantidade) parts.push(`quantidade ${arrow(i.quantidade)}`);
+      if (i.valor_total) parts.push(`valor ${arrow(i.valor_total, money)}`);
+      out.push(`    ~ ${itemLabel(i)}: ${parts.join(', ')}`);
+    }
+    return out;
+  });
+}
+
+function generalText(diff, lines) {
+  const { clientes, pedidos } = diff;
+  section(lines, 'Clientes novos', clientes.novos, c => `+ ${c.codigo} ${c.nome ?? ''}`);
+  section(lines, 'Clientes removidos', clientes.removidos, c => `- ${c.codigo} ${c.nome ?? ''}`);
+  section(lines, 'Clientes com valor_total_comprado alterado', clientes.valor_alterado, c => `~ ${c.codigo} ${c.nome ?? ''}: ${arrow(c.valor_total_comprado, money)}`);
+  section(lines, 'Pedidos novos', pedidos.novos, p => `+ ${p.codigo_pedido} (cliente ${p.cliente_codigo}) ${p.situacao_pedido ?? '—'} ${money(p.valor_total_pedido)}`);
+  section(lines, 'Pedidos removidos', pedidos.removidos, p => `- ${p.codigo_pedido} (cliente ${p.cliente_codigo}) ${p.situacao_pedido ?? '—'} ${money(p.valor_total_pedido)}`);
+  section(lines, 'Pedidos com situação alterada', pedidos.situacao_alterada, p => `~ ${p.codigo_pedido} (cliente ${p.cliente_codigo}): ${arrow(p.situacao_pedido)}`);
+  section(lines, 'Pedidos com valor alterado', pedidos.valor_alterado, p => `~ ${p.codigo_pedido} (cliente ${p.cliente_codigo}): ${arrow(p.valor_total_pedido, money)}`);
+}
+
+function renderText(result) {
+  const lines = [
+    `Diff ${result.feed}: ${result.antigo.arquivo} → ${result.novo.arquivo}`,
+    `  antigo: ${result.antigo.itens} itens${result.antigo.sem_chave ? ` (${result.antigo.sem_chave} sem chave, ignorados)` : ''}`,
+    `  novo:   ${result.novo.itens} itens${result.novo.sem_chave ? ` (${result.novo.sem_chave} sem chave, ignorados)` : ''}`,
+    `Resumo: ${Object.entries(result.resumo).map(([k, v]) => `${k} ${v}`).join(', ')}`
+  ];
+  if (!Object.values(result.resumo).some(Boolean)) lines.push('\nNenhuma diferença.');
+  else if (result.feed === 'carts') cartsText(result, lines);
+  else generalText(result, lines);
+  return lines.join('\n') + '\n';
+}
+
+async function main() {
+  if (!['carts', 'general'].includes(FEED_KEY)) fail(`Feed desconhecido: ${FEED_KEY || '(nenhum)'} (use carts ou general)`);
+  if (!OLD_FILE || !NEW_FILE) fail('Informe os dois snapshots: <antigo> <novo>');
+  if (!FORMATS.includes(FORMAT)) fail(`--format inválido: ${FORMAT} (use ${FORMATS.join(' ou ')})`);
+  if (!(LIMIT >= 0)) fail(`--limit inválido: ${args.flags.limit}`);
+  const config = loadConfigOrExit(args.flags);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-'));
+  let result;
+  try {
+    const read = async file => {
+      const plain = await plainFile(file, tmpDir);
+      return FEED_KEY === 'carts' ? readCarts(plain) : readGeneral(plain, config);
+    };
+    const a = await read(OLD_FILE);
+    const b = await read(NEW_FILE);
+    const diff = FEED_KEY === 'carts' ? diffCarts(a, b) : diffGeneral(a, b);
+    result = {
+      feed: FEED_KEY,
+      gerado_em: new Date().toISOString(),
+      antigo: { arquivo: OLD_FILE, itens: a.itens, sem_chave: a.sem_chave },
+      novo: { arquivo: NEW_FILE, itens: b.itens, sem_chave: b.sem_chave },
+      ...diff
+    };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  const output = FORMAT === 'json' ? JSON.stringify(result, null, 2) + '\n' : renderText(result);
+  if (args.flags.out) {
+    fs.writeFileSync(args.flags.out, output);
+    console.log(`Diff gravado em ${args.flags.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(e => {
+  console.error("Fatal error", e);
+  process.exit(1);
+});
@@ -0,0 +1,218 @@
+/* scripts/fetch_feeds.js
+   Baixa os feeds do fornecedor (carrinhos / general) para os caches do repo.
+   - retries com backoff exponencial + jitter, timeout por tentativa
+   - requisição condicional (ETag / If-Modified-Since) com metadados em <arquivo>.meta.json
+   - só substitui o cache se o corpo for JSON válido com o array esperado (e, no general,
+     não vazio; carrinhos vazios são aceitos e o sync decide com o guard de deleção)
+   - guarda a versão anterior comprimida em snapshots/<feed>/ (rotação); o diretório fica
+     fora do git (.gitignore) e os workflows o publicam como artefato
+   - URLs nunca aparecem inteiras no log
+
+   Uso: node scripts/fetch_feeds.js <carts|general|all> [--out-dir=.] [--archive-dir=snapshots] [--keep=10]
+        (ou node scripts/cli.js fetch <carts|general|all>)
+   Env: CARTS_FEED_URL | SOURCE_JSON_URL, SOURCE_JSON_URL_GENERAL,
+        FETCH_RETRIES (4), FETCH_TIMEOUT_MS (60000), FETCH_ARCHIVE_KEEP (10), FETCH_ALLOW_EMPTY
+        (seção fetch de lib/config.js; o general aceita os arrays de general.arrayCandidates)
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit, printConfig } = require('./lib/config');
+const { FEEDS, feedUrl, feedArrayKeys, redactUrl, inspectFeedFile } = require('./lib/feeds');
+
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const OUT_DIR = args.flags['out-dir'] || '.';
+const ARCHIVE_DIR = args.flags['archive-dir'] || 'snapshots';
+const ARCHIVE_KEEP = config.fetch.archiveKeep;
+const RETRIES = config.fetch.retries;
+const TIMEOUT_MS = config.fetch.timeoutMs;
+const ALLOW_EMPTY = config.fetch.allowEmpty;
+const USER_AGENT = 'Mozilla/5.0 (compatible; fornecedoruss-json-cache)';
+
+/* ---------------- helpers ---------------- */
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+function backoffMs(attempt) {
+  const base = 1000 * 2 ** attempt;
+  return base + Math.floor(Math.random() * base / 2);
+}
+
+function readMeta(metaFile) {
+  try {
+    return JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function sha256File(file) {
+  if (!fs.existsSync(file)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// one attempt: streams the body to tmpFile; returns { status, headers }
+async function download(url, headers, tmpFile) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { headers, redirect: 'follow', signal: controller.signal });
+    if (res.status === 200) {
+      await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(tmpFile));
+    } else if (res.body) {
+      await res.body.cancel();
+    }
+    return { status: res.status, headers: res.headers };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function downloadWithRetries(url, headers, tmpFile) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    if (attempt > 0) {
+      const wait = backoffMs(attempt - 1);
+      console.log(`  nova tentativa ${attempt}/${RETRIES} em ${wait}ms`);
+      await sleep(wait);
+    }
+    try {
+      const res = await download(url, headers, tmpFile);
+      if (res.status === 200 || res.status === 304) return res;
+      lastError = new Error(`HTTP ${res.status}`);
+      if (!isRetryableStatus(res.status)) break;
+    } catch (e) {
+      lastError = e.name === 'AbortError' ? new Error(`timeout após ${TIMEOUT_MS}ms`) : e;
+    }
+    console.error(`  falha: ${lastError.message}`);
+  }
+  throw lastError;
+}
+
+/* ---------------- snapshot archive ---------------- */
+
+// created up front so the workflow's artifact upload always finds it
+function archiveDirFor(feed) {
+  const dir = path.join(ARCHIVE_DIR, feed.name);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+async function archiveSnapshot(feed, file) {
+  if (!fs.existsSync(file)) return;
+  const dir = archiveDirFor(feed);
+  const stamp = fs.statSync(file).mtime.toISOString().replace(/[:.]/g, '-');
+  const dest = path.join(dir, `${feed.name}-${stamp}.json.gz`);
+  await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(dest));
+  console.log(`  snapshot anterior arquivado em ${dest}`);
+
+  const archived = fs.readdirSync(dir).filter(f => f.endsWith('.json.gz')).sort();
+  for (const old of archived.slice(0, Math.max(0, archived.length - ARCHIVE_KEEP))) {
+    fs.unlinkSync(path.join(dir, old));
+    console.log(`  snapshot removido (rotação): ${old}`);
+  }
+}
+
+/* ---------------- fetch one feed ---------------- */
+
+// returns true when the cache file changed
+async function fetchFeed(key) {
+  const feed = FEEDS[key];
+  const url = feedUrl(feed);
+  if (!url) throw new Error(`URL do feed ${key} não definida (${feed.urlEnv.join(' / ')})`);
+
+  const target = path.join(OUT_DIR, feed.file);
+  const metaFile = target.replace(/\.json$/, '.meta.json');
+  const meta = readMeta(metaFile);
+  archiveDirFor(feed);
+  console.log(`→ ${key}: ${redactUrl(url)} → ${target}`);
+
+  const headers = { 'User-Agent': USER_AGENT, 'Accept': 'application/json' };
+  if (fs.existsSync(target)) {
+    if (meta.etag) headers['If-None-Match'] = meta.etag;
+    if (meta.last_modified) headers['If-Modified-Since'] = meta.last_modified;
+  }
+
+  const tmpFile = path.join(os.tmpdir(), `${feed.name}-${process.pid}-${Date.now()}.json`);
+  try {
+    const res = await downloadWithRetries(url, headers, tmpFile);
+    if (res.status === 304) {
+      console.log('  304 Not Modified — cache mantido');
+      return false;
+    }
+
+    const size = fs.statSync(tmpFile).size;
+    const check = await inspectFeedFile(tmpFile, feedArrayKeys(key, config));
+    if (!check.ok) throw new Error(`feed rejeitado: ${check.reason}`);
+    if (!check.count && !ALLOW_EMPTY && !feed.allowEmpty) throw new Error(`feed rejeitado: "${check.arrayKey}" está vazio (use --allow-empty para aceitar)`);
+    console.log(`  ${size} bytes, ${check.count} itens em "${check.arrayKey}"`);
+
+    const hash = sha256File(tmpFile);
+    if (hash === sha256File(target)) {
+      console.log('  conteúdo idêntico ao cache — nada a fazer');
+      return false;
+    }
+
+    await archiveSnapshot(feed, target);
+    fs.copyFileSync(tmpFile, `${target}.tmp`);
+    fs.renameSync(`${target}.tmp`, target);
+    fs.writeFileSync(metaFile, JSON.stringify({
+      etag: res.headers.get('etag') || null,
+      last_modified: res.headers.get('last-modified') || null,
+      sha256: hash,
+      bytes: size,
+      items: check.count,
+      fetched_at: new Date().toISOString()
+    }, null, 2) + '\n');
+    console.log(`  cache atualizado (${feed.file})`);
+    return true;
+  } finally {
+    fs.rmSync(tmpFile, { force: true });
+  }
+}
+
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+}
+
+/* ------------------ main ------------------ */
+async function main() {
+  const which = args.positional[0] || 'all';
+  const keys = which === 'all' ? Object.keys(FEEDS) : [which];
+  for (const key of keys) {
+    if (!FEEDS[key]) {
+      console.error(`Feed desconhecido: ${key} (use ${Object.keys(FEEDS).join(', ')} ou all)`);
+      process.exit(1);
+    }
+  }
+
+  printConfig(config, ['fetch']);
+  let failed = 0;
+  for (const key of keys) {
+    try {
+      const changed = await fetchFeed(key);
+      setOutput(`${key}_changed`, changed);
+    } catch (e) {
+      failed++;
+      console.error(`✖ ${key}: ${e.message}`);
+      setOutput(`${key}_changed`, false);
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch(e => {
+  console.error("Erro fatal:", e.message);
+  process.exit(1);
+});
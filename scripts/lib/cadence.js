@@ -0,0 +1,112 @@
+/* scripts/lib/cadence.js
+   Cadência de recuperação de carrinho: etapas (1h, 24h, 72h…) contadas a partir da
+   data/hora do carrinho, escolha da etapa devida e renderização das mensagens.
+   Templates usam {{variavel}}: nome, primeiro_nome, produtos, total, qtd_itens,
+   carrinho_id, imagem (primeira imagem).
+*/
+
+const fs = require('fs');
+
+const UNITS = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
+const MAX_PRODUCT_NAMES = 3;
+
+const DEFAULT_TEMPLATES = {
+  '1h': {
+    assunto: 'Você esqueceu algo no carrinho',
+    texto: 'Oi {{primeiro_nome}}! Você deixou {{produtos}} no carrinho. Total: {{total}}. Quer ajuda para finalizar?'
+  },
+  '24h': {
+    assunto: 'Seus itens ainda estão te esperando',
+    texto: '{{primeiro_nome}}, seus itens continuam separados: {{produtos}} ({{total}}). É só voltar e finalizar.'
+  },
+  '72h': {
+    assunto: 'Última chamada para o seu carrinho',
+    texto: 'Última chamada, {{primeiro_nome}}! {{produtos}} ainda estão no seu carrinho — total {{total}}.'
+  },
+  default: {
+    assunto: 'Seu carrinho está te esperando',
+    texto: 'Oi {{primeiro_nome}}, você deixou {{produtos}} no carrinho ({{total}}).'
+  }
+};
+
+// "1h,24h,72h" -> [{ etapa: '1h', ms }], sorted by offset
+function parseSteps(spec) {
+  const steps = String(spec || '').split(',').map(s => s.trim()).filter(Boolean).map(etapa => {
+    const m = etapa.match(/^(\d+)([mhd])$/);
+    if (!m) throw new Error(`Etapa de cadência inválida: "${etapa}" (use 30m, 1h, 3d…)`);
+    return { etapa, ms: Number(m[1]) * UNITS[m[2]] };
+  });
+  if (!steps.length) throw new Error('Nenhuma etapa de cadência definida');
+  return steps.sort((a, b) => a.ms - b.ms);
+}
+
+/* latest step already due for a cart of this age, or null when it is too early or
+   older than maxAgeMs (a scheduler that was down does not replay earlier steps) */
+function dueStep(steps, ageMs, maxAgeMs) {
+  if (ageMs < 0 || ageMs > maxAgeMs) return null;
+  let due = null;
+  for (const s of steps) if (s.ms <= ageMs) due = s;
+  return due;
+}
+
+function loadTemplates(file) {
+  if (!file) return DEFAULT_TEMPLATES;
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...DEFAULT_TEMPLATES, ...custom };
+}
+
+function renderTemplate(tpl, vars) {
+  return String(tpl || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] === null || vars[k] === undefined ? '' : String(vars[k])));
+}
+
+function formatMoney(v) {
+  if (v === null || v === undefined || isNaN(Number(v))) return '';
+  return Number(v).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+function productNames(produtos) {
+  const names = produtos.map(p => {
+    const nome = p.nome_produto || p.produto_codigo || 'produto';
+    const qtd = Number(p.quantidade) || 1;
+    return qtd > 1 ? `${qtd}x ${nome}` : nome;
+  });
+  if (names.length <= MAX_PRODUCT_NAMES) return names.join(', ');
+  return `${names.slice(0, MAX_PRODUCT_NAMES).join(', ')} e mais ${names.length - MAX_PRODUCT_NAMES}`;
+}
+
+// whatsapp for mobiles, otherwise e-mail; null when the cart has no usable contact
+function pickChannel(cart) {
+  if (cart.celular_tipo === 'mobile' && cart.celular_e164) return { canal: 'whatsapp', destino: cart.celular_e164 };
+  if (cart.email_normalizado) return { canal: 'email', destino: cart.email_normalizado };
+  return null;
+}
+
+/*
+  cart: carrinhos row; produtos: its carrinho_produtos rows; step: from parseSteps
+  returns { canal, destino, assunto, texto, imagens, variaveis } or null (no contact)
+*/
+function buildMessage(cart, produtos, step, templates) {
+  const channel = pickChannel(cart);
+  if (!channel) return null;
+  const nome = String(cart.nome || '').trim();
+  const imagens = produtos.map(p => p.imagem).filter(Boolean);
+  const variaveis = {
+    nome,
+    primeiro_nome: nome.split(/\s+/)[0] || 'cliente',
+    produtos: productNames(produtos),
+    total: formatMoney(cart.total_valor),
+    qtd_itens: produtos.reduce((n, p) => n + (Number(p.quantidade) || 1), 0),
+    carrinho_id: cart.carrinho_id,
+    imagem: imagens[0] || ''
+  };
+  const tpl = templates[step.etapa] || templates.default;
+  return {
+    ...channel,
+    assunto: channel.canal === 'email' ? renderTemplate(tpl.assunto, variaveis) : null,
+    texto: renderTemplate(tpl.texto, variaveis),
+    imagens,
+    variaveis
+  };
+}
+
+module.exports = { parseSteps, dueStep, loadTemplates, renderTemplate, buildMessage, DEFAULT_TEMPLATES };
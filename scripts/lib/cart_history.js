@@ -0,0 +1,114 @@
+/* scripts/lib/cart_history.js
+   Ciclo de vida dos carrinhos abandonados.
+   Compara o feed atual (saída de normalizeCarrinho) com o estado gravado em `carrinhos`
+   e gera os eventos da execução (appeared, reopened, items_changed, total_changed,
+   disappeared) para a tabela carrinho_eventos. Carrinho que some do feed não é apagado:
+   fica com status 'closed' e closed_at preenchido.
+*/
+
+const PAGE_SIZE = 1000;
+
+async function loadCartStates(supabase) {
+  const states = new Map();
+  for (let page = 0; ; page++) {
+    const { data, error } = await supabase
+      .from('carrinhos')
+      .select('carrinho_id,status,first_seen,last_seen,closed_at,total_valor,produtos')
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) {
+      console.error("Erro lendo estado dos carrinhos:", error);
+      return null;
+    }
+    for (const row of data || []) states.set(String(row.carrinho_id), row);
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return states;
+}
+
+// produto_codigo -> quantidade, tolerant to the feed's string quantities
+function itemsMap(produtos) {
+  const map = new Map();
+  for (const p of Array.isArray(produtos) ? produtos : []) {
+    const codigo = String(p.codigo ?? p.produto_codigo ?? '').trim();
+    if (!codigo) continue;
+    const qtd = parseInt(p.quantidade ?? 1) || 0;
+    map.set(codigo, (map.get(codigo) || 0) + qtd);
+  }
+  return map;
+}
+
+function diffItems(before, after) {
+  const prev = itemsMap(before);
+  const next = itemsMap(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [codigo, qtd] of next) {
+    if (!prev.has(codigo)) added.push({ codigo, quantidade: qtd });
+    else if (prev.get(codigo) !== qtd) changed.push({ codigo, de: prev.get(codigo), para: qtd });
+  }
+  for (const [codigo, qtd] of prev) if (!next.has(codigo)) removed.push({ codigo, quantidade: qtd });
+  if (!added.length && !removed.length && !changed.length) return null;
+  return { added, removed, changed };
+}
+
+/*
+  states: Map carrinho_id -> stored row (loadCartStates)
+  carrinhos: normalized feed rows
+  present: ids still in the feed but left out of this run (quarantined): neither
+  upserted nor closed
+  returns { rows, events, closing } where rows are the carrinhos to upsert (with lifecycle
+  columns filled) and closing lists open carts missing from the feed
+*/
+function computeLifecycle(states, carrinhos, { now = new Date().toISOString(), present = new Set() } = {}) {
+  const rows = [];
+  const events = [];
+  const seen = new Set();
+
+  for (const c of carrinhos) {
+    const id = String(c.carrinho_id);
+    seen.add(id);
+    const prev = states.get(id);
+    const row = { ...c, status: 'open', first_seen: now, last_seen: now, closed_at: null };
+
+    if (!prev) {
+      events.push({ carrinho_id: id, tipo: 'appeared', detalhes: { total_valor: c.total_valor, itens: itemsMap(c.produtos).size } });
+    } else {
+      row.first_seen = prev.first_seen || now;
+      if (prev.status === 'closed') {
+        events.push({ carrinho_id: id, tipo: 'reopened', detalhes: { closed_at: prev.closed_at } });
+      }
+      const items = diffItems(prev.produtos, c.produtos);
+      if (items) events.push({ carrinho_id: id, tipo: 'items_changed', detalhes: items });
+      const before = prev.total_valor === null || prev.total_valor === undefined ? null : Number(prev.total_valor);
+      if (before !== c.total_valor) {
+        events.push({ carrinho_id: id, tipo: 'total_changed', detalhes: { de: before, para: c.total_valor } });
+      }
+    }
+    rows.push(row);
+  }
+
+  const closing = [];
+  for (const [id, prev] of states) {
+    if (seen.has(id) || present.has(id) || prev.status === 'closed') continue;
+    closing.push(id);
+    events.push({ carrinho_id: id, tipo: 'disappeared', detalhes: { last_seen: prev.last_seen, total_valor: prev.total_valor } });
+  }
+
+  for (const e of events) e.criado_em = now;
+  return { rows, events, closing };
+}
+
+async function recordEvents(supabase, events, batchSize = 500) {
+  for (let i = 0; i < events.length; i += batchSize) {
+    const batch = events.slice(i, i + batchSize);
+    const { error } = await supabase.from('carrinho_eventos').insert(batch, { returning: false });
+    if (error) {
+      console.error("Erro gravando carrinho_eventos:", error);
+      throw error;
+    }
+  }
+  if (events.length) console.log(`Eventos de carrinho gravados: ${events.length}`);
+}
+
+module.exports = { loadCartStates, computeLifecycle, recordEvents };
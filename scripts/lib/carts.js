@@ -0,0 +1,50 @@
+/* scripts/lib/carts.js
+   Feed de carrinhos: a lista de carrinhos do JSON e a linha de `carrinhos` de cada um.
+   Usado pelo sync (sync_from_source.js) e pelo diff de snapshots (diff_snapshots.js).
+*/
+
+const { combineDateTime } = require('./dates');
+const { normEmail, parsePhone } = require('./contacts');
+const { FEEDS } = require('./feeds');
+
+function moneyToNumber(str) {
+  if (!str) return null;
+  const cleaned = String(str)
+    .replace(/[^\d,.-]/g, "")
+    .replace(/\./g, "")
+    .replace(/,/g, ".");
+  const n = parseFloat(cleaned);
+  return isNaN(n) ? null : n;
+}
+
+// the cart list: one of the feed's array keys or a root array; anything else is not this feed
+function feedItems(json) {
+  if (Array.isArray(json)) return json;
+  if (json && typeof json === 'object') {
+    for (const key of FEEDS.carts.arrayKeys) if (Array.isArray(json[key])) return json[key];
+  }
+  throw new Error(`Formato inesperado do feed: esperado um array em ${FEEDS.carts.arrayKeys.join(' / ')} ou na raiz`);
+}
+
+function normalizeCarrinho(item) {
+  const celular = item.celular ?? item.telefone ?? null;
+  const phone = parsePhone(celular);
+  return {
+    carrinho_id: String(item.id ?? item.carrinho_id ?? ''),
+    id_clientes: item.id_clientes ?? null,
+    nome: item.nome ?? item.name ?? null,
+    email: item.email ?? null,
+    email_normalizado: normEmail(item.email),
+    celular,
+    celular_e164: phone.e164,
+    celular_tipo: phone.tipo,
+    data_transacao: item.data_transacao ?? null,
+    hora_transacao: item.hora_transacao ?? null,
+    transacao_em: combineDateTime(item.data_transacao, item.hora_transacao),
+    total_valor: moneyToNumber(item.valor_total ?? item["valor total"] ?? null),
+    produtos: item.produtos ?? [],
+    raw: item
+  };
+}
+
+module.exports = { moneyToNumber, feedItems, normalizeCarrinho };
@@ -0,0 +1,153 @@
+/* scripts/lib/catalog.js
+   Catálogo de produtos (sql/016): `produtos` por código, atualizado pelos dois syncs a
+   partir das linhas de produto que eles já montam (carrinho_produtos em
+   sync_from_source.js, import_clientes_produtos em sync_from_general.js).
+   Cada feed grava só os seus campos (FEED_FIELDS) e um campo vazio no feed mantém o
+   valor do catálogo; só produtos novos ou com algo diferente são enviados. Um
+   valor_unitario diferente do último vira ultimo_valor_unitario e uma linha em
+   produtos_precos. As duas tabelas de produto têm foreign key para o catálogo, então
+   ele é gravado antes delas.
+*/
+
+const { planAdd } = require('./plan');
+const { normalizeCodigo } = require('./general_rows');
+
+const CATALOG_FIELDS = ['titulo', 'imagem', 'marca', 'categoria_principal', 'categoria', 'subcategoria', 'sku'];
+const FEED_FIELDS = {
+  carrinhos: ['titulo', 'imagem', 'marca', 'categoria_principal', 'categoria'],
+  gerais: ['titulo', 'marca', 'categoria_principal', 'categoria', 'subcategoria', 'sku']
+};
+const PRICE_FIELDS = ['ultimo_valor_unitario', 'preco_desde'];
+const FETCH_CHUNK = 500;
+const WRITE_CHUNK = 500;
+// prices closer than this are the same price (float noise from "1.234,50")
+const PRICE_EPSILON = 0.005;
+
+function present(v) {
+  return v !== null && v !== undefined && String(v).trim() !== '';
+}
+
+// catalog fields of a carrinho_produtos or import_clientes_produtos row
+function catalogEntry(row) {
+  return {
+    codigo: normalizeCodigo(row.produto_codigo),
+    titulo: row.titulo ?? row.nome_produto ?? null,
+    imagem: row.imagem ?? null,
+    marca: row.marca ?? null,
+    categoria_principal: row.categoria_principal ?? null,
+    categoria: row.categoria ?? null,
+    subcategoria: row.subcategoria ?? null,
+    sku: row.sku ?? null,
+    valor_unitario: row.valor_unitario ?? null
+  };
+}
+
+// one entry per codigo; later rows fill in / replace what they bring
+function mergeEntries(rows) {
+  const merged = new Map();
+  for (const row of rows) {
+    const entry = catalogEntry(row);
+    if (!entry.codigo) continue;
+    const cur = merged.get(entry.codigo) || { codigo: entry.codigo };
+    for (const [k, v] of Object.entries(entry)) if (present(v)) cur[k] = v;
+    merged.set(entry.codigo, cur);
+  }
+  return merged;
+}
+
+// through the general sync's write pool when there is one (retries, adaptive concurrency)
+function send(pool, query, rows, idempotent = true) {
+  return pool ? pool.run(signal => query().abortSignal(signal), { rows, idempotent }) : query();
+}
+
+async function fetchCatalog(supabase, codes, pool) {
+  const existing = new Map();
+  for (let i = 0; i < codes.length; i += FETCH_CHUNK) {
+    const chunk = codes.slice(i, i + FETCH_CHUNK);
+    const { data, error } = await send(pool, () => supabase
+      .from('produtos')
+      .select(['codigo', ...CATALOG_FIELDS, ...PRICE_FIELDS].join(','))
+      .in('codigo', chunk));
+    if (error) {
+      console.error("Erro lendo produtos:", error);
+      throw error;
+    }
+    for (const row of data || []) existing.set(row.codigo, row);
+  }
+  return existing;
+}
+
+/*
+  Updates the catalog with the products of one feed (fonte: 'carrinhos' or 'gerais').
+  rows: the product rows the sync is about to write. now: the observation time (--as-of
+  in a replay). Throws when the catalog cannot be read or written: the product rows
+  reference it. Returns { lidos, novos, atualizados, precos }.
+*/
+async function syncCatalog(supabase, rows, { fonte, now = new Date().toISOString(), runId = null, plan = null, pool = null } = {}) {
+  const fields = FEED_FIELDS[fonte];
+  if (!fields) throw new Error(`Fonte de catálogo desconhecida: ${fonte}`);
+  const withPrice = fonte === 'carrinhos';
+  const entries = mergeEntries(rows);
+  const stats = { lidos: entries.size, novos: 0, atualizados: 0, precos: 0 };
+  if (!entries.size) return stats;
+
+  const existing = await fetchCatalog(supabase, Array.from(entries.keys()), pool);
+  const upserts = [];
+  const prices = [];
+  for (const entry of entries.values()) {
+    const old = existing.get(entry.codigo);
+    const row = { codigo: entry.codigo };
+    let changed = !old;
+    for (const f of fields) {
+      row[f] = present(entry[f]) ? String(entry[f]) : (old ? old[f] ?? null : null);
+      if (old && (old[f] ?? null) !== row[f]) changed = true;
+    }
+    if (withPrice) {
+      const price = present(entry.valor_unitario) ? Number(entry.valor_unitario) : null;
+      const oldPrice = old && old.ultimo_valor_unitario !== null && old.ultimo_valor_unitario !== undefined ? Number(old.ultimo_valor_unitario) : null;
+      const priceChanged = price !== null && (oldPrice === null || Math.abs(price - oldPrice) >= PRICE_EPSILON);
+      row.ultimo_valor_unitario = priceChanged ? price : oldPrice;
+      row.preco_desde = priceChanged ? now : (old ? old.preco_desde ?? null : null);
+      if (priceChanged) {
+        prices.push({ produto_codigo: entry.codigo, valor_unitario: price, fonte, run_id: runId, visto_em: now });
+        changed = true;
+      }
+    }
+    if (!changed) continue;
+    row.atualizado_em = now;
+    upserts.push(row);
+    if (old) stats.atualizados++;
+    else stats.novos++;
+  }
+  stats.precos = prices.length;
+
+  if (plan) {
+    planAdd(plan, 'produtos', 'upsert', upserts);
+    planAdd(plan, 'produtos_precos', 'insert', prices);
+    return stats;
+  }
+  for (let i = 0; i < upserts.length; i += WRITE_CHUNK) {
+    const chunk = upserts.slice(i, i + WRITE_CHUNK);
+    const { error } = await send(pool, () => supabase.from('produtos').upsert(chunk, { onConflict: 'codigo' }), chunk.length);
+    if (error) {
+      console.error("Erro gravando produtos:", error);
+      throw error;
+    }
+  }
+  // after the catalog: a price row without its product would fail the foreign key
+  for (let i = 0; i < prices.length; i += WRITE_CHUNK) {
+    const chunk = prices.slice(i, i + WRITE_CHUNK);
+    const { error } = await send(pool, () => supabase.from('produtos_precos').insert(chunk, { returning: false }), chunk.length, false);
+    if (error) {
+      console.error("Erro gravando produtos_precos:", error);
+      throw error;
+    }
+  }
+  return stats;
+}
+
+function formatCatalogStats(stats) {
+  return `${stats.lidos} produtos, ${stats.novos} novos, ${stats.atualizados} atualizados, ${stats.precos} mudanças de preço`;
+}
+
+module.exports = { syncCatalog, formatCatalogStats };
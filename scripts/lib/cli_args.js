@@ -0,0 +1,25 @@
+/* scripts/lib/cli_args.js
+   Leitura mínima de argumentos de linha de comando, compartilhada pelos scripts de sync.
+   Aceita posicionais e flags no formato --nome ou --nome=valor.
+*/
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (const arg of argv || []) {
+    if (!arg.startsWith('--')) { positional.push(arg); continue; }
+    const eq = arg.indexOf('=');
+    if (eq === -1) flags[arg.slice(2)] = true;
+    else flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+  }
+  return { positional, flags };
+}
+
+// env values like "1", "true", "yes" count as enabled
+function isTruthy(v) {
+  if (v === true) return true;
+  if (v === undefined || v === null || v === false) return false;
+  return /^(1|true|yes|on)$/i.test(String(v).trim());
+}
+
+module.exports = { parseArgs, isTruthy };
@@ -0,0 +1,178 @@
+/* scripts/lib/config.js
+   Configuração dos syncs e do fetch, antes constantes no código.
+   Precedência (maior vence): flag --nome > variável de ambiente > arquivo de config
+   (--config, SYNC_CONFIG ou ./sync.config.json) > padrão.
+   O arquivo é JSON com as mesmas seções/chaves de SETTINGS, ex.:
+     { "general": { "chunkSize": 60, "reconcile": ["import_pedidos"] }, "sync": { "maxFailureRatio": 0.02 } }
+*/
+
+const fs = require('fs');
+const { isTruthy } = require('./cli_args');
+const { CLIENT_ARRAY_CANDIDATES } = require('./feeds');
+
+const DEFAULT_FILE = 'sync.config.json';
+const RECONCILE_TABLES = ['import_clientes', 'import_pedidos', 'import_clientes_produtos', 'import_pedidos_itens'];
+
+const SETTINGS = [
+  { key: 'sync.dryRun',           type: 'bool',  env: 'DRY_RUN',                 flag: 'dry-run',           def: false },
+  { key: 'sync.forceDelete',      type: 'bool',  env: 'SYNC_FORCE_DELETE',       flag: 'force-delete',      def: false },
+  { key: 'sync.maxShrinkPct',     type: 'int',   env: 'DELETE_GUARD_MAX_SHRINK_PCT', flag: 'max-shrink-pct', def: 30, min: 0 },  // delete guard (lib/delete_guard.js)
+  { key: 'sync.maxFailureRatio',  type: 'ratio', env: 'SYNC_MAX_FAILURE_RATIO',  flag: 'max-failure-ratio', def: 0.05 },
+  { key: 'sync.maxQuarantineRatio', type: 'ratio', env: 'SYNC_MAX_QUARANTINE_RATIO', flag: 'max-quarantine-ratio', def: 0.1 },
+
+  { key: 'general.quantityMode',  type: 'enum',  env: 'SYNC_QUANTITY_MODE',      flag: 'quantity-mode',     def: 'delta', values: ['delta', 'absolute'] },
+  { key: 'general.full',          type: 'bool',  env: 'SYNC_FULL',               flag: 'full',              def: false },
+  { key: 'general.chunkSize',     type: 'int',   env: 'SYNC_CHUNK_SIZE',         flag: 'chunk-size',        def: 60, min: 1 },
+  { key: 'general.pauseMs',       type: 'int',   env: 'SYNC_PAUSE_MS',           flag: 'pause-ms',          def: 600, min: 0 },  // initial pause, adapted by the write pool
+  { key: 'general.flushClients',  type: 'int',   env: 'SYNC_FLUSH_CLIENTS',      flag: 'flush-clients',     def: 500, min: 1 },
+  { key: 'general.clientesBatch', type: 'int',   env: 'SYNC_CLIENTES_BATCH',     flag: 'clientes-batch',    def: 300, min: 1 },
+  { key: 'general.pedidosBatch',  type: 'int',   env: 'SYNC_PEDIDOS_BATCH',      flag: 'pedidos-batch',     def: 200, min: 1 },
+  { key: 'general.reconcile',     type: 'list',  env: 'SYNC_RECONCILE',          flag: 'reconcile',         def: [], values: RECONCILE_TABLES },  // soft delete (sql/015), opt-in
+  { key: 'general.purgeAfterDays', type: 'int',  env: 'SYNC_PURGE_AFTER_DAYS',   flag: 'purge-after-days',  def: 0, min: 0 },  // 0 = never purge
+  { key: 'general.arrayCandidates', type: 'list', env: 'SYNC_ARRAY_CANDIDATES',  flag: 'array-candidates',  def: CLIENT_ARRAY_CANDIDATES },
+
+  { key: 'write.concurrency',     type: 'int',   env: 'SYNC_WRITE_CONCURRENCY',  flag: 'write-concurrency', def: 4, min: 1 },
+  { key: 'write.retries',         type: 'int',   env: 'SYNC_WRITE_RETRIES',      flag: 'write-retries',     def: 4, min: 0 },
+  { key: 'write.timeoutMs',       type: 'int',   env: 'SYNC_WRITE_TIMEOUT_MS',   flag: 'write-timeout-ms',  def: 30000, min: 1 },
+  { key: 'write.maxDelayMs',      type: 'int',   env: 'SYNC_WRITE_MAX_DELAY_MS', flag: 'write-max-delay-ms', def: 30000, min: 0 },
+
+  { key: 'carts.batchSize',       type: 'int',   env: 'SYNC_CARTS_BATCH_SIZE',   flag: 'carts-batch-size',  def: 200, min: 1 },
+
+  { key: 'storage.backend',       type: 'enum',  env: 'SYNC_STORAGE',            flag: 'storage',           def: 'supabase', values: ['supabase', 'sqlite', 'postgres'] },
+  { key: 'storage.sqliteFile',    type: 'string', env: 'SYNC_SQLITE_FILE',       flag: 'sqlite-file',       def: 'sync-local.db' },
+  { key: 'storage.postgresUrl',   type: 'string', env: 'DATABASE_URL',           flag: 'postgres-url',      def: '', secret: true },
+
+  { key: 'fetch.retries',         type: 'int',   env: 'FETCH_RETRIES',           flag: 'retries',           def: 4, min: 0 },
+  { key: 'fetch.timeoutMs',       type: 'int',   env: 'FETCH_TIMEOUT_MS',        flag: 'timeout-ms',        def: 60000, min: 1 },
+  { key: 'fetch.archiveKeep',     type: 'int',   env: 'FETCH_ARCHIVE_KEEP',      flag: 'keep',              def: 10, min: 0 },
+  { key: 'fetch.allowEmpty',      type: 'bool',  env: 'FETCH_ALLOW_EMPTY',       flag: 'allow-empty',       def: false },
+
+  { key: 'webhooks.urls',         type: 'list',  env: 'WEBHOOK_URLS',            flag: 'webhook-urls',      def: [], secret: true },  // URLs may carry tokens
+  { key: 'webhooks.secret',       type: 'string', env: 'WEBHOOK_SECRET',         flag: 'webhook-secret',    def: '', secret: true },
+  { key: 'webhooks.retries',      type: 'int',   env: 'WEBHOOK_RETRIES',         flag: 'webhook-retries',   def: 3, min: 0 },
+  { key: 'webhooks.timeoutMs',    type: 'int',   env: 'WEBHOOK_TIMEOUT_MS',      flag: 'webhook-timeout-ms', def: 10000, min: 1 },
+
+  { key: 'cadence.steps',         type: 'string', env: 'CADENCE_STEPS',          flag: 'steps',             def: '1h,24h,72h' },
+  { key: 'cadence.maxAge',        type: 'string', env: 'CADENCE_MAX_AGE',        flag: 'max-age',           def: '' },  // '' = last step + 24h
+  { key: 'cadence.cooldownDays',  type: 'int',   env: 'CADENCE_COOLDOWN_DAYS',   flag: 'cooldown-days',     def: 7, min: 0 },  // per customer x step; 0 = no window, once ever
+  { key: 'cadence.templatesFile', type: 'string', env: 'CADENCE_TEMPLATES_FILE', flag: 'templates',         def: '' },
+
+  { key: 'recovery.windowDays',   type: 'int',   env: 'RECOVERY_WINDOW_DAYS',    flag: 'window-days',       def: 7, min: 1 },
+
+  { key: 'identity.maxShared',    type: 'int',   env: 'IDENTITY_MAX_SHARED',     flag: 'max-shared',        def: 5, min: 1 }
+];
+
+function isSet(v) {
+  return v !== undefined && v !== null && !(typeof v === 'string' && v.trim() === '');
+}
+
+// raw value (string from env/flag, any JSON type from the file) -> typed value; throws on invalid input
+function coerce(setting, raw, origin) {
+  const fail = why => { throw new Error(`Config inválida ${setting.key} (${origin}): ${JSON.stringify(raw)} — ${why}`); };
+  switch (setting.type) {
+    case 'bool':
+      if (typeof raw === 'boolean') return raw;
+      if (/^(0|false|no|off)$/i.test(String(raw).trim())) return false;
+      if (!isTruthy(raw)) fail('use true/false');
+      return true;
+    case 'int': {
+      const n = Number(raw);
+      if (!Number.isInteger(n)) fail('esperado um inteiro');
+      if (setting.min !== undefined && n < setting.min) fail(`mínimo ${setting.min}`);
+      return n;
+    }
+    case 'ratio': {
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < 0 || n > 1) fail('use um número entre 0 e 1');
+      return n;
+    }
+    case 'enum': {
+      const v = String(raw).trim();
+      if (!setting.values.includes(v)) fail(`use ${setting.values.join(' ou ')}`);
+      return v;
+    }
+    case 'string':
+      return String(raw).trim();
+    case 'list': {
+      if (!Array.isArray(raw) && String(raw).trim() === 'none') return []; // empty list from env / flags
+      const list = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      const out = list.map(s => s.trim()).filter(Boolean);
+      const unknown = setting.values ? out.filter(v => !setting.values.includes(v)) : [];
+      if (unknown.length) fail(`valores aceitos: ${setting.values.join(', ')}`);
+      return out;
+    }
+  }
+  throw new Error(`Tipo de config desconhecido: ${setting.type}`);
+}
+
+function readConfigFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`Arquivo de config não encontrado: ${file}`);
+    return null;
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Arquivo de config inválido (${file}): ${e.message}`);
+  }
+  // flatten { section: { name } } and reject typos instead of silently ignoring them
+  const flat = {};
+  for (const [section, values] of Object.entries(data || {})) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error(`Config ${file}: seção "${section}" deve ser um objeto`);
+    for (const [name, v] of Object.entries(values)) flat[`${section}.${name}`] = v;
+  }
+  const known = new Set(SETTINGS.map(s => s.key));
+  const unknown = Object.keys(flat).filter(k => !known.has(k));
+  if (unknown.length) throw new Error(`Config ${file}: chaves desconhecidas: ${unknown.join(', ')}`);
+  return flat;
+}
+
+/*
+  flags: parseArgs(...).flags of the running script
+  returns { sync, general, write, carts, storage, fetch, webhooks, cadence, recovery, identity,
+  meta: { file, sources } } where sources maps
+  each key to where its value came from (default | file | env NAME | flag --name)
+*/
+function loadConfig(flags = {}, env = process.env) {
+  const explicitFile = flags.config || env.SYNC_CONFIG || null;
+  const file = explicitFile || DEFAULT_FILE;
+  const fromFile = readConfigFile(file, Boolean(explicitFile)) || {};
+
+  const config = { meta: { file: fs.existsSync(file) ? file : null, sources: {} } };
+  for (const s of SETTINGS) {
+    let value = s.def;
+    let source = 'default';
+    if (isSet(fromFile[s.key])) { value = coerce(s, fromFile[s.key], file); source = 'file'; }
+    if (isSet(env[s.env])) { value = coerce(s, env[s.env], s.env); source = `env ${s.env}`; }
+    if (isSet(flags[s.flag])) { value = coerce(s, flags[s.flag], `--${s.flag}`); source = `flag --${s.flag}`; }
+    const [section, name] = s.key.split('.');
+    if (!config[section]) config[section] = {};
+    config[section][name] = value;
+    config.meta.sources[s.key] = source;
+  }
+  return config;
+}
+
+// for scripts that load config at module level: a bad value ends the run with a clear message
+function loadConfigOrExit(flags, env) {
+  try {
+    return loadConfig(flags, env);
+  } catch (e) {
+    console.error(`✖ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+function printConfig(config, sections) {
+  console.log(`→ Configuração efetiva${config.meta.file ? ` (arquivo: ${config.meta.file})` : ' (sem arquivo de config)'}:`);
+  for (const s of SETTINGS) {
+    const [section, name] = s.key.split('.');
+    if (sections && !sections.includes(section)) continue;
+    const v = config[section][name];
+    const shown = s.secret && v && v.length ? '***' : Array.isArray(v) ? v.join(',') || '(nenhum)' : v;
+    console.log(`  ${s.key} = ${shown}  [${config.meta.sources[s.key]}]`);
+  }
+}
+
+module.exports = { loadConfig, loadConfigOrExit, printConfig, SETTINGS, DEFAULT_FILE };
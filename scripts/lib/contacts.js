@@ -0,0 +1,74 @@
+/* scripts/lib/contacts.js
+   Normalização de e-mail e telefone (Brasil) para contato e para comparar clientes
+   entre carrinhos e import_clientes. O valor original continua na coluna de origem;
+   as colunas normalizadas ficam ao lado (sql/009).
+   Telefones viram E.164 (+55DDDNUMERO) com tipo 'mobile' | 'landline' | 'invalid'.
+*/
+
+// DDDs em uso (Anatel)
+const DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99
+].map(String));
+
+function normEmail(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (!s || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s)) return null;
+  return s;
+}
+
+/*
+  Any phone as the supplier sends it -> { e164, tipo }.
+  Empty input gives { e164: null, tipo: null }; anything that is not a Brazilian
+  mobile/landline gives tipo 'invalid'. Old 8-digit mobiles (before the extra 9)
+  get the 9 added.
+*/
+function parsePhone(v) {
+  const raw = String(v ?? '').trim();
+  if (!raw) return { e164: null, tipo: null };
+  let d = raw.replace(/\D/g, '');
+  if (d.length >= 12 && d.startsWith('55')) d = d.slice(2);
+  d = d.replace(/^0+/, '');
+  const invalid = { e164: null, tipo: 'invalid' };
+  if (d.length !== 10 && d.length !== 11) return invalid;
+
+  const ddd = d.slice(0, 2);
+  let numero = d.slice(2);
+  if (!DDDS.has(ddd) || /^(\d)\1+$/.test(numero)) return invalid;
+
+  let tipo;
+  if (numero.length === 9) {
+    if (numero[0] !== '9') return invalid;
+    tipo = 'mobile';
+  } else if (/^[2-5]/.test(numero)) {
+    tipo = 'landline';
+  } else if (/^[6-9]/.test(numero)) {
+    numero = `9${numero}`;
+    tipo = 'mobile';
+  } else {
+    return invalid;
+  }
+  return { e164: `+55${ddd}${numero}`, tipo };
+}
+
+// DDD + number (10 or 11 digits) of a valid phone, for matching
+function normPhone(v) {
+  const { e164 } = parsePhone(v);
+  return e164 ? e164.slice(3) : null;
+}
+
+/* run summary: counts[tipo] for phones, plus e-mails present but invalid */
+function countContact(counts, phoneTipo, email, emailNormalizado) {
+  if (phoneTipo) counts[phoneTipo] = (counts[phoneTipo] || 0) + 1;
+  if (email && String(email).trim() && !emailNormalizado) counts.email_invalid = (counts.email_invalid || 0) + 1;
+  return counts;
+}
+
+function formatContactCounts(counts) {
+  return `telefones ${counts.mobile || 0} celulares, ${counts.landline || 0} fixos, ${counts.invalid || 0} inválidos; e-mails inválidos ${counts.email_invalid || 0}`;
+}
+
+module.exports = { normEmail, parsePhone, normPhone, countContact, formatContactCounts };
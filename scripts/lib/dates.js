@@ -0,0 +1,144 @@
+/* scripts/lib/dates.js
+   Datas do fornecedor, compartilhado pelos dois syncs.
+   As datas sem fuso (dd/mm/yyyy hh:mm, yyyy-mm-dd hh:mm:ss) são horário local da loja:
+   são interpretadas em SOURCE_TIMEZONE (padrão America/Sao_Paulo) e convertidas para UTC.
+   Datas impossíveis (31/02, 25:00) e datas zeradas (0000-00-00) viram null.
+*/
+
+const SOURCE_TIMEZONE = process.env.SOURCE_TIMEZONE || 'America/Sao_Paulo';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    // throws RangeError for an unknown zone, which is what we want at startup
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+formatterFor(SOURCE_TIMEZONE);
+
+// offset (ms) of timeZone at the given UTC instant
+function zoneOffsetMs(utcMs, timeZone) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(new Date(utcMs))) {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (utcMs - (utcMs % 1000));
+}
+
+function isValidDateParts(y, mo, d, h = 0, mi = 0, s = 0) {
+  if (mo < 1 || mo > 12 || d < 1 || h > 23 || mi > 59 || s > 59) return false;
+  const daysInMonth = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  return d <= daysInMonth;
+}
+
+// wall-clock time in timeZone -> ISO UTC string, or null when the parts are impossible
+function localToIso(y, mo, d, h = 0, mi = 0, s = 0, timeZone = SOURCE_TIMEZONE) {
+  if (!isValidDateParts(y, mo, d, h, mi, s)) return null;
+  const guess = Date.UTC(y, mo - 1, d, h, mi, s);
+  // second pass settles instants next to an offset change
+  let ts = guess - zoneOffsetMs(guess, timeZone);
+  ts = guess - zoneOffsetMs(ts, timeZone);
+  return new Date(ts).toISOString();
+}
+
+function splitTime(time) {
+  const m = String(time || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  return [Number(m[1]), Number(m[2]), Number(m[3] || 0)];
+}
+
+function isLikelyZeroDate(s) {
+  if (!s || typeof s !== 'string') return false;
+  if (/0000-00-00/.test(s)) return true;
+  if (/^0{4}-0{2}-0{2}/.test(s)) return true;
+  if (/^0000[\/\-]/.test(s)) return true;
+  if (/^0{8}$/.test(s.replace(/[^0-9]/g, ''))) return true;
+  return false;
+}
+
+// "dd/mm/yyyy[ h:mm[:ss]]" in the source zone (single-digit hours too, as in hora_transacao)
+function parseDateString(val, timeZone = SOURCE_TIMEZONE) {
+  if (!val || typeof val !== "string") return null;
+  const m = val.trim().match(/^(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?$/);
+  if (!m) return null;
+  const time = m[4] ? splitTime(m[4]) : [0, 0, 0];
+  return localToIso(Number(m[3]), Number(m[2]), Number(m[1]), ...time, timeZone);
+}
+
+/*
+  Any date the feeds send -> ISO UTC string or null.
+  Strings with an explicit zone (Z / ±hh:mm) are absolute; the rest are source-local.
+*/
+function sanitizeDateValue(v, timeZone = SOURCE_TIMEZONE) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) {
+    if (isNaN(v.getTime())) return null;
+    return v.toISOString();
+  }
+  if (typeof v !== "string") return null;
+  const s = v.trim();
+  if (s === '') return null;
+  if (isLikelyZeroDate(s) || s.startsWith('0000')) return null;
+
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/);
+  if (m) {
+    if (!isValidDateParts(+m[1], +m[2], +m[3], +m[4], +m[5], +m[6])) return null;
+    const ts = Date.parse(s);
+    return isNaN(ts) ? null : new Date(ts).toISOString();
+  }
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s]+(\d{1,2}:\d{2}(?::\d{2})?))?$/);
+  if (m) {
+    const time = m[4] ? splitTime(m[4]) : [0, 0, 0];
+    return localToIso(+m[1], +m[2], +m[3], ...time, timeZone);
+  }
+  return parseDateString(s, timeZone);
+}
+
+// carts send date and time apart: data_transacao "dd/mm/yyyy" (or ISO date) + hora_transacao "h:mm[:ss]"
+function combineDateTime(data, hora, timeZone = SOURCE_TIMEZONE) {
+  if (!data) return null;
+  const d = String(data).trim();
+  const t = hora ? String(hora).trim() : '';
+  if (t && !splitTime(t)) return null;
+  return sanitizeDateValue(t ? `${d} ${t}` : d, timeZone);
+}
+
+// epoch ms of an ISO / Date.parse-able value, null when absent or invalid
+function toTime(v) {
+  if (!v) return null;
+  const ts = Date.parse(v);
+  return isNaN(ts) ? null : ts;
+}
+
+// when a cart was abandoned: transacao_em (store date + time, already UTC), else first_seen
+function cartTime(c) {
+  const ts = toTime(c.transacao_em || combineDateTime(c.data_transacao, c.hora_transacao));
+  return ts !== null ? ts : toTime(c.first_seen);
+}
+
+// --as-of of the syncs (snapshot time in scripts/replay_snapshots.js): ISO string, null when absent or invalid
+function parseAsOf(v) {
+  if (v === undefined || v === null || v === true || String(v).trim() === '') return null;
+  const ms = Date.parse(String(v).trim());
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+module.exports = {
+  SOURCE_TIMEZONE,
+  isLikelyZeroDate,
+  parseDateString,
+  sanitizeDateValue,
+  combineDateTime,
+  localToIso,
+  toTime,
+  cartTime,
+  parseAsOf
+};
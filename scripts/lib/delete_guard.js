@@ -0,0 +1,42 @@
+/* scripts/lib/delete_guard.js
+   Proteção contra deleção em massa quando o feed chega vazio ou truncado.
+   Antes de apagar, compara o tamanho do feed atual com o da última execução
+   bem-sucedida (sync_state) — ou, na primeira vez, com o total já existente na tabela.
+   Limite: sync.maxShrinkPct (lib/config.js, padrão 30). Override: --force-delete ou SYNC_FORCE_DELETE=1.
+*/
+
+const { getState, setState } = require('./sync_state');
+
+const DEFAULT_MAX_SHRINK_PCT = 30;
+
+function stateKey(scope) {
+  return `feed_count:${scope}`;
+}
+
+// returns { ok, reason, previous }; never throws
+async function checkDeleteGuard(supabase, scope, currentCount, existingCount, { force = false, maxShrinkPct = DEFAULT_MAX_SHRINK_PCT } = {}) {
+  const state = await getState(supabase, stateKey(scope));
+  const previous = state && Number.isFinite(Number(state.count)) ? Number(state.count) : existingCount;
+
+  let reason = null;
+  if (!currentCount) {
+    reason = `feed vazio para ${scope} (existem ${existingCount} registros)`;
+  } else if (previous && currentCount < previous * (1 - maxShrinkPct / 100)) {
+    const pct = Math.round((1 - currentCount / previous) * 100);
+    reason = `feed de ${scope} encolheu ${pct}% (${previous} → ${currentCount}), limite ${maxShrinkPct}%`;
+  }
+
+  if (!reason) return { ok: true, reason: null, previous };
+  if (force) {
+    console.warn(`⚠ Guard de deleção ignorado (--force-delete): ${reason}`);
+    return { ok: true, reason, previous };
+  }
+  console.error(`✖ Deleção bloqueada: ${reason}. Use --force-delete (ou SYNC_FORCE_DELETE=1) para prosseguir.`);
+  return { ok: false, reason, previous };
+}
+
+async function recordFeedCount(supabase, scope, count) {
+  await setState(supabase, stateKey(scope), { count, at: new Date().toISOString() });
+}
+
+module.exports = { checkDeleteGuard, recordFeedCount };
@@ -0,0 +1,92 @@
+/* scripts/lib/feeds.js
+   Definição dos feeds do fornecedor (arquivo de cache no repo, variáveis com a URL,
+   chaves esperadas do array principal) e inspeção em stream de um arquivo de feed.
+*/
+
+const fs = require('fs');
+const { pipeline } = require('stream');
+const { parser } = require('stream-json');
+
+const CLIENT_ARRAY_CANDIDATES = ['clientes','lista_clientes','lista_clientes_geral','clientes_lista','clientes_data','users'];
+
+const FEEDS = {
+  carts: {
+    name: 'carrinhos',
+    file: 'carrinhos.json',
+    urlEnv: ['CARTS_FEED_URL', 'SOURCE_JSON_URL'],
+    arrayKeys: ['lista_carrinhos', 'carrinhos'],
+    allowEmpty: true  // no open carts is a normal state; the sync's delete guard handles it
+  },
+  general: {
+    name: 'general',
+    file: 'general.json',
+    urlEnv: ['SOURCE_JSON_URL_GENERAL'],
+    arrayKeys: CLIENT_ARRAY_CANDIDATES
+  }
+};
+
+function feedUrl(feed) {
+  for (const name of feed.urlEnv) if (process.env[name]) return process.env[name].trim();
+  return null;
+}
+
+// array names accepted for a feed; the general feed's come from config (general.arrayCandidates)
+function feedArrayKeys(key, config) {
+  if (key === 'general' && config) return config.general.arrayCandidates;
+  return FEEDS[key].arrayKeys;
+}
+
+// keeps scheme + host only: feed URLs carry tokens in path/query
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}/…`;
+  } catch (e) {
+    return '<url inválida>';
+  }
+}
+
+/*
+  Streams the file and checks it is JSON with the expected top-level array
+  (one of arrayKeys, or a root array). Resolves { ok, arrayKey, count, reason }.
+*/
+function inspectFeedFile(file, arrayKeys) {
+  return new Promise(resolve => {
+    let depth = 0;
+    let key = null;
+    let targetKey = null;
+    let targetDepth = null; // depth of the target array's elements
+    let count = 0;
+
+    const tokens = parser({ streamValues: false });
+    tokens.on('data', ({ name, value }) => {
+      if (targetDepth !== null && depth === targetDepth && name !== 'endArray' && name !== 'endObject') count++;
+      switch (name) {
+        case 'startObject':
+        case 'startArray':
+          if (name === 'startArray' && targetKey === null) {
+            if (depth === 0) { targetKey = '<root>'; targetDepth = 1; }
+            else if (depth === 1 && arrayKeys.includes(key)) { targetKey = key; targetDepth = 2; }
+          }
+          depth++;
+          break;
+        case 'endObject':
+        case 'endArray':
+          depth--;
+          if (targetDepth !== null && depth === targetDepth - 1) targetDepth = null;
+          break;
+        case 'keyValue':
+          if (depth === 1) key = value;
+          break;
+      }
+    });
+
+    pipeline(fs.createReadStream(file), tokens, err => {
+      if (err) return resolve({ ok: false, reason: `JSON inválido: ${err.message}` });
+      if (targetKey === null) return resolve({ ok: false, reason: `array esperado ausente (${arrayKeys.join(', ')})` });
+      resolve({ ok: true, arrayKey: targetKey, count });
+    });
+  });
+}
+
+module.exports = { FEEDS, CLIENT_ARRAY_CANDIDATES, feedUrl, feedArrayKeys, redactUrl, inspectFeedFile };
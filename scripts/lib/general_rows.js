@@ -0,0 +1,265 @@
+/* scripts/lib/general_rows.js
+   Leitura em stream dos nós de cliente do feed general e as linhas de import_clientes,
+   import_pedidos, import_clientes_produtos e import_pedidos_itens de cada um. Usado
+   pelo sync (sync_from_general.js) e pelo diff de snapshots (diff_snapshots.js), para
+   os dois enxergarem as mesmas chaves e valores.
+   Clientes sem código recebem chave sintética (lib/synthetic_keys.js); pedidos também.
+*/
+
+const fs = require('fs');
+const { pipeline } = require('stream');
+const { parser } = require('stream-json');
+const { pick } = require('stream-json/filters/Pick');
+const { streamValues } = require('stream-json/streamers/StreamValues');
+const { isLikelyZeroDate, sanitizeDateValue } = require('./dates');
+const { normEmail, parsePhone } = require('./contacts');
+const { syntheticClientKey, syntheticOrderKey, reportAdd } = require('./synthetic_keys');
+
+const COLUMNS_CLIENTES = [
+  'cliente_codigo','codigo','nome','email','data_cadastro',
+  'whatsapp','cidade','estado','loja_drop','representante',
+  'total_pedidos','valor_total_comprado','criado_em'
+];
+
+const COLUMNS_PEDIDOS = [
+  'id','codigo_pedido','cliente_codigo','situacao_pedido',
+  'data_hora_pedido','data_hora_confirmacao',
+  'valor_total_produtos','valor_frete','frete','valor_total_pedido',
+  'desconto','cidade','estado','percentual_comissao',
+  'origem_pedido','tipo_compra','texto_tipo_compra',
+  'pedidos_loja_drop','criado_em'
+];
+
+const COLUMNS_PRODUTOS = [
+  'id','cliente_codigo','produto_codigo','titulo','categoria_principal',
+  'categoria','marca','quantidade','criado_em','id_pedido',
+  'subcategoria','tamanho','cor','sku','data_pedido'
+];
+
+function pickFields(obj, allowed) {
+  const res = {};
+  for (const k of Object.keys(obj || {})) if (allowed.includes(k)) res[k] = obj[k];
+  return res;
+}
+
+function normalizeCodigo(val) {
+  if (val === null || val === undefined) return null;
+  let s = String(val).trim();
+  if (s === '') return null;
+  s = s.replace(/[^\w\-\._]/g, '');
+  return s;
+}
+
+function toNumberOrNull(v) {
+  if (v === null || v === undefined) return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v).replace(/[^\d\-.,]/g, '').trim();
+  if (s === '') return null;
+  const s2 = s.replace(/\./g, '').replace(/,/g, '.');
+  const n = parseFloat(s2);
+  return Number.isNaN(n) ? null : n;
+}
+
+function buildClienteRow(it) {
+  const copy = pickFields(it, COLUMNS_CLIENTES);
+  copy.codigo = copy.codigo ?? copy.cliente_codigo ?? copy.id ?? copy.codigo_cliente ?? null;
+  copy.codigo = normalizeCodigo(copy.codigo);
+  if (!copy.cliente_codigo && copy.codigo) copy.cliente_codigo = copy.codigo;
+  copy.cliente_codigo = normalizeCodigo(copy.cliente_codigo);
+  copy.total_pedidos = (copy.total_pedidos !== undefined) ? parseInt(String(copy.total_pedidos).replace(/\D/g,''),10) || null : null;
+  copy.valor_total_comprado = toNumberOrNull(copy.valor_total_comprado);
+  if (copy.data_cadastro) copy.data_cadastro = sanitizeDateValue(copy.data_cadastro);
+  copy.criado_em = (new Date().toISOString()).replace(/\.\d+Z$/, 'Z');
+  for (const k of Object.keys(copy)) if (typeof copy[k] === 'string' && isLikelyZeroDate(copy[k])) copy[k] = null;
+  if (!copy.codigo && copy.cliente_codigo) copy.codigo = copy.cliente_codigo;
+  // normalized contact columns (sql/009); email / whatsapp stay as sent
+  const phone = parsePhone(copy.whatsapp);
+  copy.email_normalizado = normEmail(copy.email);
+  copy.whatsapp_e164 = phone.e164;
+  copy.whatsapp_tipo = phone.tipo;
+  return copy;
+}
+
+function buildPedidoRows(client, clienteCodigo, keyReport = null) {
+  const rows = [];
+  if (!Array.isArray(client.pedidos)) return rows;
+  const occurrences = new Map();
+  for (const rawItem of client.pedidos) {
+    const p = pickFields(rawItem, COLUMNS_PEDIDOS);
+    p.codigo_pedido = p.codigo_pedido ?? rawItem.codigo_pedido ?? rawItem.codigo ?? rawItem.numero_pedido ?? rawItem.order_id ?? rawItem.id ?? null;
+    p.codigo_pedido = normalizeCodigo(p.codigo_pedido);
+    p.cliente_codigo = normalizeCodigo(clienteCodigo ?? rawItem.cliente_codigo ?? rawItem.cliente ?? rawItem.codigo_cliente ?? rawItem.customer_id ?? rawItem.id_cliente) || '0';
+    p.situacao_pedido = p.situacao_pedido ?? rawItem.status ?? rawItem.situacao ?? rawItem.status_pedido ?? null;
+    p.data_hora_pedido = sanitizeDateValue(rawItem.data_hora_pedido ?? rawItem.data_pedido ?? rawItem.data_hora ?? rawItem.created_at ?? rawItem.criado_em ?? null);
+    p.data_hora_confirmacao = sanitizeDateValue(rawItem.data_hora_confirmacao ?? rawItem.confirmado_em ?? rawItem.paid_at ?? null);
+    p.valor_total_produtos = toNumberOrNull(rawItem.valor_total_produtos ?? rawItem.valor_produtos ?? rawItem.items_total ?? rawItem.total_items ?? rawItem.total ?? null);
+    p.valor_frete = toNumberOrNull(rawItem.valor_frete ?? rawItem.shipping_value ?? rawItem.frete ?? null);
+    p.valor_total_pedido = toNumberOrNull(rawItem.valor_total_pedido ?? rawItem.total ?? null);
+    p.desconto = toNumberOrNull(rawItem.desconto ?? rawItem.valor_desconto ?? rawItem.discount ?? null);
+    p.percentual_comissao = toNumberOrNull(rawItem.percent ?? rawItem.comissao ?? null);
+    p.cidade = rawItem.cidade ?? client.cidade ?? null;
+    p.estado = rawItem.estado ?? client.estado ?? null;
+    p.origem_pedido = rawItem.origem_pedido ?? null;
+    p.tipo_compra = rawItem.tipo_compra ?? null;
+    p.texto_tipo_compra = rawItem.texto_tipo_compra ?? null;
+    p.pedidos_loja_drop = rawItem.pedidos_loja_drop ?? null;
+    p.criado_em = new Date().toISOString();
+    for (const k of Object.keys(p)) if (typeof p[k] === 'string' && isLikelyZeroDate(p[k])) p[k] = null;
+    if (!p.codigo_pedido) {
+      p.codigo_pedido = syntheticOrderKey(p.cliente_codigo, p, rawItem, occurrences);
+      reportAdd(keyReport, 'pedido', { chave: p.codigo_pedido, cliente_codigo: p.cliente_codigo, data_hora_pedido: p.data_hora_pedido, valor_total_pedido: p.valor_total_pedido });
+    }
+    rows.push(p);
+  }
+  return rows;
+}
+
+function parseQuantidade(v) {
+  return v != null ? (parseInt(String(v).replace(/\D/g,''),10) || toNumberOrNull(v) || 0) : null;
+}
+
+// produtos_comprados: attach clienteCodigo since products in JSON are under the client node
+function buildProdutoRows(client, clienteCodigo) {
+  const rows = [];
+  const produtosComprados = client.produtos_comprados;
+  if (!produtosComprados || typeof produtosComprados !== 'object') return rows;
+  for (const key of Object.keys(produtosComprados)) {
+    const prRaw = produtosComprados[key] || {};
+    const produto_codigo = normalizeCodigo(prRaw.codigo ?? key) || null;
+    const quantidade = parseQuantidade(prRaw.quantidade);
+    const id_pedido = prRaw.id_pedido ?? prRaw.idPedido ?? null;
+    const produtoRow = {
+      cliente_codigo: clienteCodigo,
+      produto_codigo,
+      titulo: prRaw.titulo ?? prRaw.title ?? null,
+      categoria_principal: prRaw.categoria_principal ?? prRaw.categoriaPrincipal ?? null,
+      categoria: prRaw.categoria ?? null,
+      marca: prRaw.marca ?? prRaw.brand ?? null,
+      quantidade: quantidade,
+      criado_em: new Date().toISOString(),
+      tamanho: null,
+      cor: null,
+      sku: prRaw.sku ?? null,
+      data_pedido: sanitizeDateValue(prRaw.data_pedido ?? prRaw.data),
+      id_pedido: id_pedido !== undefined ? id_pedido : null
+    };
+    for (const k of Object.keys(produtoRow)) if (typeof produtoRow[k] === 'string' && isLikelyZeroDate(produtoRow[k])) produtoRow[k] = null;
+    rows.push(produtoRow);
+  }
+  return rows;
+}
+
+// line identity in import_pedidos_itens (sql/017): cliente|pedido|produto|variant
+function itemKeyFor(item) {
+  return [item.cliente_codigo, item.id_pedido || '0', item.produto_codigo, item.tamanho, item.cor, item.sku]
+    .map(v => String(v ?? '').trim())
+    .join('|');
+}
+
+// one produtos_comprados entry as an order line, not linked yet (codigo_pedido null)
+function buildItemRow(prRaw, key, clienteCodigo) {
+  const pr = prRaw && typeof prRaw === 'object' ? prRaw : {};
+  const quantidade = parseQuantidade(pr.quantidade);
+  const valorUnitario = toNumberOrNull(pr.valor_unitario ?? pr.valor ?? pr.preco ?? null);
+  const valorTotal = toNumberOrNull(pr.valor_total ?? null)
+    ?? (valorUnitario !== null && quantidade !== null ? Math.round(valorUnitario * quantidade * 100) / 100 : null);
+  const item = {
+    cliente_codigo: clienteCodigo,
+    id_pedido: normalizeCodigo(pr.id_pedido ?? pr.idPedido ?? null),
+    codigo_pedido: null,
+    produto_codigo: normalizeCodigo(pr.codigo ?? key) || null,
+    titulo: pr.titulo ?? pr.title ?? null,
+    tamanho: pr.tamanho ?? pr.size ?? null,
+    cor: pr.cor ?? pr.color ?? null,
+    sku: pr.sku ?? null,
+    quantidade,
+    valor_unitario: valorUnitario,
+    valor_total: valorTotal,
+    data_pedido: sanitizeDateValue(pr.data_pedido ?? pr.data)
+  };
+  for (const k of Object.keys(item)) if (typeof item[k] === 'string' && isLikelyZeroDate(item[k])) item[k] = null;
+  return { chave: itemKeyFor(item), ...item };
+}
+
+/* order lines of a client node, one per chave (repeated lines summed), each linked to the
+   client's own pedido when id_pedido matches its codigo_pedido or the feed's id; the rest
+   keep codigo_pedido null and are looked up in import_pedidos by the sync */
+function buildItemRows(client, clienteCodigo, pedidoRows = []) {
+  const produtosComprados = client.produtos_comprados;
+  if (!produtosComprados || typeof produtosComprados !== 'object') return [];
+  const pedidos = new Map();
+  for (const p of pedidoRows) {
+    const id = normalizeCodigo(p.id);
+    if (id && !pedidos.has(id)) pedidos.set(id, p.codigo_pedido);
+  }
+  for (const p of pedidoRows) pedidos.set(p.codigo_pedido, p.codigo_pedido);  // codigo_pedido wins over an equal id
+
+  const rows = new Map();
+  for (const key of Object.keys(produtosComprados)) {
+    const item = buildItemRow(produtosComprados[key], key, clienteCodigo);
+    if (item.id_pedido) item.codigo_pedido = pedidos.get(item.id_pedido) ?? null;
+    const cur = rows.get(item.chave);
+    if (!cur) {
+      rows.set(item.chave, item);
+      continue;
+    }
+    for (const k of ['quantidade', 'valor_total']) {
+      if (item[k] !== null) cur[k] = (cur[k] ?? 0) + item[k];
+    }
+  }
+  return Array.from(rows.values());
+}
+
+/* the client's key for all its rows: feed codigo (codigo, cliente_codigo or id), else a
+   synthetic one; returns { codigo, synthetic } (synthetic = { key, basis } or null) */
+function resolveClienteCodigo(client, row) {
+  const feedCodigo = normalizeCodigo(client.codigo ?? client.cliente_codigo ?? client.id ?? '') || row.codigo;
+  const synthetic = feedCodigo ? null : syntheticClientKey(client);
+  return { codigo: feedCodigo || synthetic.key, synthetic };
+}
+
+/* Streaming: emits each client node of the feed without loading the whole file.
+   Same heuristics as before: an array under one of the candidate names, else the first
+   top-level array found (second pass, only when no candidate array exists), else a root array. */
+async function streamClientNodes(source, candidateNames, onClient) {
+  let sawCandidate = false;
+  const pickFrom = async (acceptKey) => {
+    let lockedKey;
+    const filter = (stack, chunk) => {
+      if (stack.length === 1 && typeof stack[0] === 'number') return true;
+      if (stack.length === 1 && chunk.name === 'startArray' && candidateNames.includes(stack[0])) sawCandidate = true;
+      if (stack.length !== 2 || typeof stack[1] !== 'number' || typeof stack[0] !== 'string') return false;
+      if (lockedKey === undefined && acceptKey(stack[0])) lockedKey = stack[0];
+      return stack[0] === lockedKey;
+    };
+    const values = pipeline(fs.createReadStream(source), parser(), pick({ filter }), streamValues(), () => {});
+    let count = 0;
+    for await (const { value } of values) {
+      count++;
+      await onClient(value); // may be anything: the schema check sorts it out
+    }
+    return count;
+  };
+
+  const count = await pickFrom(key => candidateNames.includes(key));
+  if (count || sawCandidate) return count;
+  console.log(`Nenhum array em ${candidateNames.join(', ')}; usando o primeiro array do feed (registros fora do esquema vão para a quarentena).`);
+  return pickFrom(() => true);
+}
+
+module.exports = {
+  COLUMNS_CLIENTES,
+  COLUMNS_PEDIDOS,
+  COLUMNS_PRODUTOS,
+  pickFields,
+  normalizeCodigo,
+  toNumberOrNull,
+  buildClienteRow,
+  buildPedidoRows,
+  buildProdutoRows,
+  itemKeyFor,
+  buildItemRow,
+  buildItemRows,
+  resolveClienteCodigo,
+  streamClientNodes
+};
@@ -0,0 +1,18 @@
+/* scripts/lib/hash.js
+   Hash de conteúdo estável: a ordem das chaves dos objetos não altera o resultado.
+*/
+
+const crypto = require('crypto');
+
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+function contentHash(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+module.exports = { stableStringify, contentHash };
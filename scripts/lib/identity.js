@@ -0,0 +1,206 @@
+/* scripts/lib/identity.js
+   Resolução de identidade de clientes entre import_clientes e carrinhos.
+   Liga registros pelo código (carrinho.id_clientes = import_clientes.codigo), pelo
+   e-mail normalizado e pelo telefone normalizado (whatsapp / celular). Cada grupo
+   ligado é um cliente canônico, com id estável em cliente_canonico_id nas duas tabelas.
+   E-mails/telefones compartilhados por clientes demais (ex.: telefone da loja) não ligam
+   nada e são devolvidos como ambíguos.
+*/
+
+const { contentHash } = require('./hash');
+const { normEmail, normPhone, parsePhone } = require('./contacts');
+
+const PLACEHOLDER_NOME = 'AUTO-CREATED';
+
+function isPlaceholder(cliente) {
+  return cliente.nome === PLACEHOLDER_NOME;
+}
+
+function createUnionFind() {
+  const parent = new Map();
+  const find = x => {
+    if (!parent.has(x)) parent.set(x, x);
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(x) !== root) {
+      const next = parent.get(x);
+      parent.set(x, root);
+      x = next;
+    }
+    return root;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(ra < rb ? rb : ra, ra < rb ? ra : rb);
+  };
+  return { find, union, nodes: () => parent.keys() };
+}
+
+// richest real record first, then the smallest codigo, so the choice is stable
+function pickPrincipal(clientes) {
+  const score = c => (isPlaceholder(c) ? 0 : 10) + ['nome', 'email', 'whatsapp', 'cidade', 'estado'].filter(k => c[k]).length;
+  return clientes.slice().sort((a, b) => score(b) - score(a) || String(a.codigo).localeCompare(String(b.codigo)))[0] || null;
+}
+
+/* existing id shared by most members wins (unless a bigger group already kept it, when a
+   group splits); otherwise K_<hash of its first member> */
+function pickCanonicalId(members, taken) {
+  const counts = new Map();
+  for (const m of members) if (m.current && !taken.has(m.current)) counts.set(m.current, (counts.get(m.current) || 0) + 1);
+  if (counts.size) {
+    return Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+  }
+  const first = members.map(m => m.node).sort()[0];
+  return `K_${contentHash(first).slice(0, 12)}`;
+}
+
+// fields of a placeholder that can be filled from the principal client or the latest cart
+function placeholderFill(placeholder, principal, carts) {
+  const latest = carts.slice().sort((a, b) => String(b.last_seen || '').localeCompare(String(a.last_seen || '')))[0];
+  const source = principal && !isPlaceholder(principal)
+    ? { nome: principal.nome, email: principal.email, whatsapp: principal.whatsapp, cidade: principal.cidade, estado: principal.estado }
+    : latest ? { nome: latest.nome, email: latest.email, whatsapp: latest.celular } : {};
+  const patch = {};
+  if (source.nome) patch.nome = source.nome;
+  for (const k of ['email', 'whatsapp', 'cidade', 'estado']) if (!placeholder[k] && source[k]) patch[k] = source[k];
+  if (patch.email) patch.email_normalizado = normEmail(patch.email);
+  if (patch.whatsapp) {
+    const phone = parsePhone(patch.whatsapp);
+    patch.whatsapp_e164 = phone.e164;
+    patch.whatsapp_tipo = phone.tipo;
+  }
+  return Object.keys(patch).length ? patch : null;
+}
+
+/*
+  clientes: import_clientes rows (codigo, nome, email, whatsapp, cidade, estado, cliente_canonico_id)
+  carrinhos: carrinhos rows (carrinho_id, id_clientes, nome, email, celular, last_seen, cliente_canonico_id, cliente_codigo)
+  returns {
+    canonicos: clientes_canonicos rows,
+    clienteUpdates: [{ codigo, cliente_canonico_id }],
+    carrinhoUpdates: [{ carrinho_id, cliente_canonico_id, cliente_codigo }],
+    placeholderFills: [{ codigo, ...patch }],
+    merged: [{ id, mesclado_em }]   ids absorbed by another group,
+    ambiguous: [{ tipo, valor, clientes }]
+  }
+*/
+function resolveIdentities(clientes, carrinhos, { maxShared = 5, now = new Date().toISOString() } = {}) {
+  const uf = createUnionFind();
+  const byCodigo = new Map();
+  const keys = new Map(); // 'email:x' | 'tel:x' -> { nodes, clientes }
+
+  const addKey = (key, node, codigo) => {
+    if (!keys.has(key)) keys.set(key, { nodes: [], clientes: new Set() });
+    const entry = keys.get(key);
+    entry.nodes.push(node);
+    if (codigo) entry.clientes.add(codigo);
+  };
+
+  for (const c of clientes) {
+    const codigo = String(c.codigo);
+    const node = `cli:${codigo}`;
+    byCodigo.set(codigo, c);
+    uf.find(node);
+    const email = normEmail(c.email);
+    const tel = normPhone(c.whatsapp);
+    if (email) addKey(`email:${email}`, node, codigo);
+    if (tel) addKey(`tel:${tel}`, node, codigo);
+  }
+
+  const cartsById = new Map();
+  for (const cart of carrinhos) {
+    const id = String(cart.carrinho_id);
+    const node = `car:${id}`;
+    cartsById.set(id, cart);
+    const email = normEmail(cart.email);
+    const tel = normPhone(cart.celular);
+    const codigo = String(cart.id_clientes ?? '').trim();
+    if (codigo && byCodigo.has(codigo)) uf.union(node, `cli:${codigo}`);
+    if (email) addKey(`email:${email}`, node, null);
+    if (tel) addKey(`tel:${tel}`, node, null);
+    if ((codigo && byCodigo.has(codigo)) || email || tel) uf.find(node);
+  }
+
+  const ambiguous = [];
+  for (const [key, entry] of keys) {
+    if (entry.clientes.size > maxShared) {
+      const [tipo, valor] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+      ambiguous.push({ tipo, valor, clientes: entry.clientes.size });
+      continue;
+    }
+    for (let i = 1; i < entry.nodes.length; i++) uf.union(entry.nodes[0], entry.nodes[i]);
+  }
+
+  const groups = new Map();
+  for (const node of Array.from(uf.nodes())) {
+    const root = uf.find(node);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(node);
+  }
+  // biggest groups pick their id first; root is the smallest node, so ties are stable
+  const ordered = Array.from(groups).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+
+  const canonicos = [];
+  const clienteUpdates = [];
+  const carrinhoUpdates = [];
+  const placeholderFills = [];
+  const merged = new Map(); // absorbed id -> surviving id
+  const taken = new Set();
+
+  for (const [, nodes] of ordered) {
+    const groupClientes = nodes.filter(n => n.startsWith('cli:')).map(n => byCodigo.get(n.slice(4)));
+    const groupCarts = nodes.filter(n => n.startsWith('car:')).map(n => cartsById.get(n.slice(4)));
+    const members = [
+      ...groupClientes.map(c => ({ node: `cli:${c.codigo}`, current: c.cliente_canonico_id || null })),
+      ...groupCarts.map(c => ({ node: `car:${c.carrinho_id}`, current: c.cliente_canonico_id || null }))
+    ];
+    const id = pickCanonicalId(members, taken);
+    taken.add(id);
+    const principal = pickPrincipal(groupClientes);
+
+    for (const m of members) {
+      if (m.current && m.current !== id && !merged.has(m.current)) merged.set(m.current, id);
+    }
+    for (const c of groupClientes) {
+      if (c.cliente_canonico_id !== id) clienteUpdates.push({ codigo: String(c.codigo), cliente_canonico_id: id });
+      if (isPlaceholder(c)) {
+        const patch = placeholderFill(c, principal, groupCarts);
+        if (patch) placeholderFills.push({ codigo: String(c.codigo), ...patch });
+      }
+    }
+    for (const cart of groupCarts) {
+      // a cart keeps pointing at the client it names, when that client exists
+      const direct = String(cart.id_clientes ?? '').trim();
+      const clienteCodigo = direct && byCodigo.has(direct) ? direct : principal ? String(principal.codigo) : null;
+      if (cart.cliente_canonico_id !== id || (cart.cliente_codigo ?? null) !== clienteCodigo) {
+        carrinhoUpdates.push({ carrinho_id: String(cart.carrinho_id), cliente_canonico_id: id, cliente_codigo: clienteCodigo });
+      }
+    }
+
+    const emails = new Set([...groupClientes, ...groupCarts].map(c => normEmail(c.email)).filter(Boolean));
+    const telefones = new Set([...groupClientes.map(c => c.whatsapp), ...groupCarts.map(c => c.celular)].map(normPhone).filter(Boolean));
+    canonicos.push({
+      id,
+      codigo_principal: principal ? String(principal.codigo) : null,
+      emails: Array.from(emails).sort(),
+      telefones: Array.from(telefones).sort(),
+      total_clientes: groupClientes.length,
+      total_carrinhos: groupCarts.length,
+      mesclado_em: null,
+      atualizado_em: now
+    });
+  }
+
+  // an id that survives in some group is not merged away
+  return {
+    canonicos,
+    clienteUpdates,
+    carrinhoUpdates,
+    placeholderFills,
+    merged: Array.from(merged).filter(([id]) => !taken.has(id)).map(([id, mesclado_em]) => ({ id, mesclado_em, atualizado_em: now })),
+    ambiguous
+  };
+}
+
+module.exports = { resolveIdentities, isPlaceholder, PLACEHOLDER_NOME };
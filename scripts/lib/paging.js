@@ -0,0 +1,35 @@
+/* scripts/lib/paging.js
+   Leituras paginadas comuns aos scripts que leem tabelas inteiras (cart_cadence.js,
+   reconcile_recovery.js, resolve_identities.js). O Supabase devolve no máximo 1000
+   linhas por consulta, então tudo é lido em páginas; listas longas em .in() são
+   quebradas em pedaços. Erros de leitura viram exceção com o nome da tabela.
+*/
+
+const PAGE_SIZE = 1000;
+const IN_CHUNK = 200;
+
+// every row of table; apply adds filters to the query (e.g. q => q.eq('status', 'pending'))
+async function selectAllPages(supabase, table, columns, apply = q => q) {
+  let all = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await apply(supabase.from(table).select(columns))
+      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
+    if (error) throw new Error(`Erro lendo ${table}: ${error.message || JSON.stringify(error)}`);
+    all = all.concat(data || []);
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return all;
+}
+
+// rows whose column is one of values (empty and repeated values dropped)
+async function selectIn(supabase, table, columns, column, values) {
+  let all = [];
+  const unique = Array.from(new Set(values.filter(v => v !== null && v !== undefined && v !== '')));
+  for (let i = 0; i < unique.length; i += IN_CHUNK) {
+    const rows = await selectAllPages(supabase, table, columns, q => q.in(column, unique.slice(i, i + IN_CHUNK)));
+    all = all.concat(rows);
+  }
+  return all;
+}
+
+module.exports = { selectAllPages, selectIn };
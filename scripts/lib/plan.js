@@ -0,0 +1,54 @@
+/* scripts/lib/plan.js
+   Plano de execução do modo dry-run: em vez de escrever no Supabase, os scripts
+   registram aqui o que fariam (por tabela e ação) e no fim imprimem um resumo
+   legível e gravam o plano completo em JSON.
+*/
+
+const fs = require('fs');
+
+const SAMPLE_SIZE = 5;
+
+function createPlan(kind, source) {
+  return {
+    kind,
+    source,
+    dry_run: true,
+    generated_at: new Date().toISOString(),
+    tables: {}
+  };
+}
+
+// records items under plan.tables[table][action]; items may be a single object or an array
+function planAdd(plan, table, action, items) {
+  if (!plan) return;
+  if (!plan.tables[table]) plan.tables[table] = {};
+  if (!plan.tables[table][action]) plan.tables[table][action] = [];
+  const list = plan.tables[table][action];
+  for (const it of (Array.isArray(items) ? items : [items])) list.push(it);
+}
+
+function printPlanSummary(plan) {
+  console.log(`\n===== DRY-RUN (${plan.kind}) — nada foi gravado no Supabase =====`);
+  console.log(`Fonte: ${plan.source}`);
+  const tables = Object.keys(plan.tables);
+  if (!tables.length) {
+    console.log('Nenhuma alteração planejada.');
+    return;
+  }
+  for (const table of tables) {
+    console.log(`\n${table}:`);
+    for (const action of Object.keys(plan.tables[table])) {
+      const items = plan.tables[table][action];
+      console.log(`  ${action}: ${items.length}`);
+      for (const it of items.slice(0, SAMPLE_SIZE)) console.log(`    - ${JSON.stringify(it)}`);
+      if (items.length > SAMPLE_SIZE) console.log(`    … (+${items.length - SAMPLE_SIZE})`);
+    }
+  }
+}
+
+function writePlanFile(plan, file) {
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2));
+  console.log(`\nPlano completo gravado em ${file}`);
+}
+
+module.exports = { createPlan, planAdd, printPlanSummary, writePlanFile };
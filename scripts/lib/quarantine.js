@@ -0,0 +1,103 @@
+/* scripts/lib/quarantine.js
+   Quarentena dos registros que não passam no esquema (lib/schemas.js): ficam fora do
+   sync e são gravados, com os motivos, em sync_quarentena (sql/014) e num JSON
+   (--quarantine-file, artefato do workflow).
+   A linha é identificada por feed + tipo + hash do registro, então o mesmo registro
+   inválido em execuções seguidas só atualiza ultima_execucao / visto_em.
+*/
+
+const fs = require('fs');
+const { planAdd } = require('./plan');
+const { contentHash } = require('./hash');
+
+const MAX_RECORDS = 2000; // kept in memory / saved per run (client nodes can be large); beyond that only counted
+const SAMPLE_SIZE = 5;
+const BATCH_SIZE = 200;
+
+function createQuarantine(feed, source, runId) {
+  return {
+    feed,
+    source,
+    run_id: runId,
+    generated_at: new Date().toISOString(),
+    totals: {},
+    omitted: 0,
+    records: []
+  };
+}
+
+// tipo: schema name ('carrinho', 'cliente', 'pedido', 'produto_comprado'); chave: record key when known
+function quarantineAdd(q, tipo, chave, record, reasons, context = null) {
+  if (!q) return;
+  q.totals[tipo] = (q.totals[tipo] || 0) + 1;
+  if (q.records.length >= MAX_RECORDS) {
+    q.omitted++;
+    return;
+  }
+  q.records.push({ tipo, chave: chave === null || chave === undefined ? null : String(chave), motivos: reasons, contexto: context, registro: record });
+}
+
+function quarantineTotal(q) {
+  return Object.values(q.totals).reduce((a, b) => a + b, 0);
+}
+
+function printQuarantineSummary(q) {
+  const tipos = Object.keys(q.totals);
+  if (!tipos.length) {
+    console.log('→ Quarentena: nenhum registro inválido.');
+    return;
+  }
+  console.log(`→ Quarentena: ${tipos.map(t => `${t} ${q.totals[t]}`).join(', ')}`);
+  for (const r of q.records.slice(0, SAMPLE_SIZE)) console.log(`    - ${r.tipo} ${r.chave ?? '(sem chave)'}: ${r.motivos.join('; ')}`);
+  if (q.records.length > SAMPLE_SIZE) console.log(`    … (+${quarantineTotal(q) - SAMPLE_SIZE})`);
+}
+
+function toRow(q, r, now) {
+  return {
+    id: contentHash([q.feed, r.tipo, r.registro]),
+    feed: q.feed,
+    tipo: r.tipo,
+    chave: r.chave,
+    motivos: r.motivos,
+    contexto: r.contexto,
+    registro: r.registro,
+    ultima_execucao: q.run_id,
+    visto_em: now
+  };
+}
+
+/* JSON file always; sync_quarentena rows only outside dry-run (the plan lists them instead).
+   Never throws: the quarantine is a side record, it must not break the sync. */
+async function saveQuarantine(supabase, q, file, { plan = null } = {}) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(q, null, 2));
+    console.log(`Quarentena gravada em ${file}`);
+  } catch (e) {
+    console.error(`Erro gravando ${file}:`, e.message);
+  }
+  if (!q.records.length) return;
+
+  const now = new Date().toISOString();
+  // the same invalid record may appear twice in one feed; one row per id
+  const rows = Array.from(new Map(q.records.map(r => toRow(q, r, now)).map(row => [row.id, row])).values());
+  if (plan) {
+    planAdd(plan, 'sync_quarentena', 'upsert', rows.map(r => ({ tipo: r.tipo, chave: r.chave, motivos: r.motivos })));
+    return;
+  }
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    try {
+      const { error } = await supabase.from('sync_quarentena').upsert(rows.slice(i, i + BATCH_SIZE), { onConflict: 'id' });
+      if (error) console.error('Erro gravando sync_quarentena:', error);
+    } catch (e) {
+      console.error('Exception gravando sync_quarentena:', e);
+    }
+  }
+}
+
+module.exports = {
+  createQuarantine,
+  quarantineAdd,
+  quarantineTotal,
+  printQuarantineSummary,
+  saveQuarantine
+};
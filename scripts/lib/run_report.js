@@ -0,0 +1,173 @@
+/* scripts/lib/run_report.js
+   Relatório estruturado de cada execução dos syncs: fonte, tamanho e sha256 do feed,
+   contagens por tabela, duração das etapas e amostras de erros. No fim vira uma linha
+   em sync_runs (sql/013) e um JSON (artefato do workflow).
+   Contadores: read (lidos do feed), inserted, updated, upserted (upsert em lote, sem
+   saber se a linha já existia), deleted, skipped (inalterados), quarantined (fora do
+   esquema, lib/quarantine.js) e failed.
+   A taxa de falha é failed / (inserted + updated + upserted + deleted + failed); acima
+   do limite (sync.maxFailureRatio em lib/config.js) a execução termina com status 'failed'.
+*/
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const COUNTERS = ['read', 'inserted', 'updated', 'upserted', 'deleted', 'skipped', 'quarantined', 'failed'];
+const WRITE_COUNTERS = ['inserted', 'updated', 'upserted', 'deleted', 'failed'];
+const MAX_ERROR_SAMPLES = 20;
+const DEFAULT_MAX_FAILURE_RATIO = 0.05;
+
+function createRunReport(kind, source, { dryRun = false } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    kind,
+    source,
+    dry_run: dryRun,
+    status: 'running',
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    feed: { bytes: null, sha256: null, items: null },
+    tables: {},
+    phases: {},
+    details: {},
+    errors: [],
+    errors_total: 0,
+    failure_ratio: null,
+    max_failure_ratio: null,
+    _t0: Date.now()
+  };
+}
+
+// streamed, so the general feed (hundreds of MB) is not loaded twice
+async function describeFeed(report, file) {
+  if (!report) return;
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  report.feed.bytes = fs.statSync(file).size;
+  report.feed.sha256 = hash.digest('hex');
+}
+
+function runCount(report, table, counter, n = 1) {
+  if (!report || !n) return;
+  if (!COUNTERS.includes(counter)) throw new Error(`Contador desconhecido: ${counter}`);
+  if (!report.tables[table]) report.tables[table] = Object.fromEntries(COUNTERS.map(c => [c, 0]));
+  report.tables[table][counter] += n;
+}
+
+// keeps the first MAX_ERROR_SAMPLES errors; errors_total counts all of them
+function runError(report, table, error, context = null) {
+  if (!report) return;
+  report.errors_total++;
+  if (report.errors.length >= MAX_ERROR_SAMPLES) return;
+  const message = error && error.message ? error.message : typeof error === 'string' ? error : JSON.stringify(error);
+  report.errors.push({
+    table,
+    message,
+    code: (error && error.code) || null,
+    context,
+    at: new Date().toISOString()
+  });
+}
+
+// free-form extras (contact counts, webhook stats…) shown in the JSON and in sync_runs.detalhes
+function runDetail(report, key, value) {
+  if (report) report.details[key] = value;
+}
+
+// times fn under phases[name] (durations add up when a phase runs more than once)
+async function runPhase(report, name, fn) {
+  const t0 = Date.now();
+  try {
+    return await fn();
+  } finally {
+    if (report) report.phases[name] = (report.phases[name] || 0) + (Date.now() - t0);
+  }
+}
+
+function failureRatio(report) {
+  let attempted = 0;
+  let failed = 0;
+  for (const counts of Object.values(report.tables)) {
+    for (const c of WRITE_COUNTERS) attempted += counts[c];
+    failed += counts.failed;
+  }
+  return attempted ? failed / attempted : 0;
+}
+
+/* status: 'ok' | 'failed' (failure ratio above the limit) | 'blocked' (deletion guard)
+   | 'error' (fatal exception) — an explicit status wins over the ratio check */
+function finishRunReport(report, { maxRatio = DEFAULT_MAX_FAILURE_RATIO, status = null } = {}) {
+  report.finished_at = new Date().toISOString();
+  report.duration_ms = Date.now() - report._t0;
+  report.failure_ratio = Number(failureRatio(report).toFixed(6));
+  report.max_failure_ratio = maxRatio;
+  report.status = status || (report.failure_ratio > maxRatio ? 'failed' : 'ok');
+  return report.status;
+}
+
+function printRunReport(report) {
+  console.log(`\n===== Execução ${report.kind} ${report.id} — ${report.status}${report.dry_run ? ' (dry-run)' : ''} =====`);
+  console.log(`Fonte: ${report.source} (${report.feed.bytes ?? '?'} bytes, sha256 ${report.feed.sha256 ? report.feed.sha256.slice(0, 12) : '?'}, ${report.feed.items ?? '?'} itens)`);
+  for (const [table, counts] of Object.entries(report.tables)) {
+    const parts = COUNTERS.filter(c => counts[c]).map(c => `${c} ${counts[c]}`);
+    console.log(`  ${table}: ${parts.join(', ') || '—'}`);
+  }
+  const phases = Object.entries(report.phases).map(([k, ms]) => `${k} ${(ms / 1000).toFixed(1)}s`);
+  console.log(`Duração: ${(report.duration_ms / 1000).toFixed(1)}s${phases.length ? ` (${phases.join(', ')})` : ''}`);
+  console.log(`Falhas: ${(report.failure_ratio * 100).toFixed(2)}% (limite ${(report.max_failure_ratio * 100).toFixed(2)}%), erros registrados: ${report.errors_total}`);
+}
+
+function toRow(report) {
+  return {
+    id: report.id,
+    tipo: report.kind,
+    fonte: report.source,
+    status: report.status,
+    iniciado_em: report.started_at,
+    finalizado_em: report.finished_at,
+    duracao_ms: report.duration_ms,
+    feed_bytes: report.feed.bytes,
+    feed_sha256: report.feed.sha256,
+    feed_itens: report.feed.items,
+    tabelas: report.tables,
+    etapas: report.phases,
+    detalhes: report.details,
+    erros: report.errors,
+    total_erros: report.errors_total,
+    taxa_falha: report.failure_ratio,
+    limite_taxa_falha: report.max_failure_ratio
+  };
+}
+
+/* JSON file always; the sync_runs row only outside dry-run. Never throws: a report that
+   cannot be saved must not hide the outcome of the sync itself. */
+async function saveRunReport(supabase, report, file) {
+  const { _t0, ...out } = report;
+  try {
+    fs.writeFileSync(file, JSON.stringify(out, null, 2));
+    console.log(`Relatório da execução gravado em ${file}`);
+  } catch (e) {
+    console.error(`Erro gravando ${file}:`, e.message);
+  }
+  if (report.dry_run) return;
+  try {
+    const { error } = await supabase.from('sync_runs').upsert([toRow(report)], { onConflict: 'id' });
+    if (error) console.error('Erro gravando sync_runs:', error);
+  } catch (e) {
+    console.error('Exception gravando sync_runs:', e);
+  }
+}
+
+module.exports = {
+  createRunReport,
+  describeFeed,
+  runCount,
+  runError,
+  runDetail,
+  runPhase,
+  finishRunReport,
+  printRunReport,
+  saveRunReport,
+  DEFAULT_MAX_FAILURE_RATIO
+};
@@ -0,0 +1,171 @@
+/* scripts/lib/schemas.js
+   Esquemas declarativos dos registros dos feeds (carrinhos; clientes, pedidos e
+   produtos_comprados do general). Cada campo lista as chaves aceitas — a primeira
+   presente vale, na mesma ordem dos normalizadores — o tipo e se é obrigatório.
+   validateRecord devolve a lista de motivos (vazia = registro válido); os inválidos
+   vão para a quarentena (lib/quarantine.js) em vez de seguirem para o sync.
+
+   Tipos: id (texto ou número), text, number (aceita "R$ 1.234,56"), integer, date
+   (formatos de lib/dates.js; data zerada conta como vazia), time (h:mm[:ss]),
+   list (array; `of` valida cada elemento) e map (objeto; `of` valida cada valor).
+   Vazio (null, undefined, '') só é erro em campo required; requireAny exige ao menos
+   uma das chaves preenchida. date e time inválidos (31/02/2024, 25:00) não mandam o
+   registro para a quarentena: os normalizadores gravam null no lugar (lib/dates.js).
+*/
+
+const { isLikelyZeroDate, sanitizeDateValue } = require('./dates');
+
+const CARRINHO_PRODUTO = {
+  name: 'carrinho_produto',
+  fields: [
+    { keys: ['codigo'], type: 'id' },
+    { keys: ['produto'], type: 'text' },
+    { keys: ['quantidade'], type: 'integer' },
+    { keys: ['valor_unitario'], type: 'number' },
+    { keys: ['valor_total'], type: 'number' }
+  ]
+};
+
+const CARRINHO = {
+  name: 'carrinho',
+  fields: [
+    { keys: ['id', 'carrinho_id'], type: 'id', required: true },
+    { keys: ['id_clientes'], type: 'id' },
+    { keys: ['nome', 'name'], type: 'text' },
+    { keys: ['email'], type: 'text' },
+    { keys: ['celular', 'telefone'], type: 'text' },
+    { keys: ['data_transacao'], type: 'date' },
+    { keys: ['hora_transacao'], type: 'time' },
+    { keys: ['valor_total', 'valor total'], type: 'number' },
+    { keys: ['produtos'], type: 'list', of: CARRINHO_PRODUTO }
+  ]
+};
+
+// pedidos and produtos_comprados are validated one by one (PEDIDO / PRODUTO_COMPRADO),
+// so a bad order does not take the whole client with it. Clients may come without codigo
+// (synthetic key), but not without anything that identifies them.
+const CLIENTE = {
+  name: 'cliente',
+  requireAny: ['codigo', 'cliente_codigo', 'id', 'email', 'nome', 'whatsapp', 'celular', 'telefone', 'cpf', 'cnpj', 'documento', 'cpf_cnpj'],
+  fields: [
+    { keys: ['codigo', 'cliente_codigo', 'id'], type: 'id' },
+    { keys: ['nome'], type: 'text' },
+    { keys: ['email'], type: 'text' },
+    { keys: ['whatsapp'], type: 'text' },
+    { keys: ['cidade'], type: 'text' },
+    { keys: ['estado'], type: 'text' },
+    { keys: ['data_cadastro'], type: 'date' },
+    { keys: ['total_pedidos'], type: 'integer' },
+    { keys: ['valor_total_comprado'], type: 'number' },
+    { keys: ['pedidos'], type: 'list' },
+    { keys: ['produtos_comprados'], type: 'map' }
+  ]
+};
+
+const PEDIDO = {
+  name: 'pedido',
+  fields: [
+    { keys: ['codigo_pedido', 'codigo', 'numero_pedido', 'order_id', 'id'], type: 'id' },
+    { keys: ['situacao_pedido', 'status', 'situacao', 'status_pedido'], type: 'text' },
+    { keys: ['data_hora_pedido', 'data_pedido', 'data_hora', 'created_at', 'criado_em'], type: 'date' },
+    { keys: ['data_hora_confirmacao', 'confirmado_em', 'paid_at'], type: 'date' },
+    { keys: ['valor_total_produtos', 'valor_produtos', 'items_total', 'total_items', 'total'], type: 'number' },
+    { keys: ['valor_frete', 'shipping_value', 'frete'], type: 'number' },
+    { keys: ['valor_total_pedido', 'total'], type: 'number' },
+    { keys: ['desconto', 'valor_desconto', 'discount'], type: 'number' }
+  ]
+};
+
+const PRODUTO_COMPRADO = {
+  name: 'produto_comprado',
+  fields: [
+    { keys: ['codigo'], type: 'id' },
+    { keys: ['titulo', 'title'], type: 'text' },
+    { keys: ['quantidade'], type: 'integer' },
+    { keys: ['id_pedido', 'idPedido'], type: 'id' },
+    { keys: ['data_pedido', 'data'], type: 'date' }
+  ]
+};
+
+const TIME_RE = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+// invalid values of these types become null in the normalizers instead of rejecting the record
+const NULLABLE_TYPES = new Set(['date', 'time']);
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+}
+
+// first key present, like the normalizers' `a ?? b ?? c`
+function pickValue(record, keys) {
+  for (const k of keys) if (record[k] !== undefined && record[k] !== null) return { key: k, value: record[k] };
+  return { key: keys[0], value: undefined };
+}
+
+function preview(v) {
+  const s = JSON.stringify(v);
+  return s && s.length > 40 ? `${s.slice(0, 40)}…` : s;
+}
+
+// null when the value fits the type, else the reason
+function checkType(type, v) {
+  switch (type) {
+    case 'id':
+      if (typeof v === 'number') return Number.isFinite(v) ? null : 'id numérico inválido';
+      return typeof v === 'string' ? null : 'esperado texto ou número';
+    case 'text':
+      return ['string', 'number', 'boolean'].includes(typeof v) ? null : 'esperado texto';
+    case 'number':
+    case 'integer':
+      if (typeof v === 'number') return Number.isFinite(v) ? null : 'número inválido';
+      return typeof v === 'string' && /\d/.test(v) ? null : `esperado ${type === 'number' ? 'número' : 'inteiro'}`;
+    case 'date':
+      if (typeof v !== 'string') return 'esperado data em texto';
+      return isLikelyZeroDate(v) || sanitizeDateValue(v) ? null : 'data inválida';
+    case 'time':
+      return typeof v === 'string' && TIME_RE.test(v.trim()) ? null : 'esperado h:mm[:ss]';
+    case 'list':
+      return Array.isArray(v) ? null : 'esperado lista';
+    case 'map':
+      return isPlainObject(v) ? null : 'esperado objeto';
+    default:
+      throw new Error(`Tipo de esquema desconhecido: ${type}`);
+  }
+}
+
+// returns the reasons the record does not match the schema ([] = valid); paths prefix nested fields
+function validateRecord(schema, record, path = '') {
+  if (!isPlainObject(record)) return [`${path ? path.slice(0, -1) : schema.name}: esperado objeto, recebido ${preview(record)}`];
+  const reasons = [];
+  if (schema.requireAny && schema.requireAny.every(k => isEmpty(record[k]))) {
+    reasons.push(`${path}${schema.name}: nenhum de ${schema.requireAny.join(', ')}`);
+  }
+  for (const field of schema.fields) {
+    const { key, value } = pickValue(record, field.keys);
+    const at = `${path}${key}`;
+    if (isEmpty(value)) {
+      if (field.required) reasons.push(`${at}: obrigatório`);
+      continue;
+    }
+    const why = checkType(field.type, value);
+    if (why) {
+      if (!NULLABLE_TYPES.has(field.type)) reasons.push(`${at}: ${why} (${preview(value)})`);
+      continue;
+    }
+    if (!field.of) continue;
+    const entries = field.type === 'list' ? value.map((v, i) => [i, v]) : Object.entries(value);
+    for (const [k, v] of entries) reasons.push(...validateRecord(field.of, v, `${at}[${k}].`));
+  }
+  return reasons;
+}
+
+module.exports = {
+  CARRINHO,
+  CLIENTE,
+  PEDIDO,
+  PRODUTO_COMPRADO,
+  validateRecord
+};
@@ -0,0 +1,347 @@
+/* scripts/lib/sql_client.js
+   Query builder no formato do @supabase/supabase-js sobre um banco SQL local
+   (drivers em lib/storage.js), para os scripts rodarem sem mudar as chamadas:
+     from(t).select(cols, { count, head }) · insert · upsert(rows, { onConflict, ignoreDuplicates })
+     · update · delete({ count })
+     filtros eq, neq, in, is, not, lt, lte, gt, gte, match; order, limit, range,
+     single, maybeSingle, abortSignal; select() depois de uma escrita = returning.
+   Como no supabase-js o builder é thenable e nunca rejeita: devolve
+   { data, error, count, status }, com error no formato do PostgREST ({ code, message }).
+   Só o que os scripts usam; o resto falha com erro explícito em vez de ser ignorado.
+*/
+
+const OPERATORS = { eq: '=', neq: '<>', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+class StorageError extends Error {
+  constructor(message, { code = null, status = 400, details = null } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+
+function splitColumns(list) {
+  return String(list).split(',').map(c => c.trim()).filter(Boolean);
+}
+
+class SqlQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = null;
+    this.filters = [];
+    this.sort = [];
+    this.rowLimit = null;
+    this.rowOffset = null;
+    this.columns = null;     // select list; after a write, the returning list
+    this.countMode = null;
+    this.head = false;
+    this.rows = null;
+    this.values = null;
+    this.onConflict = null;
+    this.ignoreDuplicates = false;
+    this.singleMode = null;  // 'single' | 'maybe'
+    this.signal = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action) this.columns = columns;
+    else {
+      this.action = 'select';
+      this.columns = columns;
+      this.countMode = count;
+      this.head = head;
+    }
+    return this;
+  }
+
+  insert(rows, { count = null } = {}) {
+    this.action = 'insert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    this.countMode = count;
+    return this;
+  }
+
+  upsert(rows, { onConflict = null, ignoreDuplicates = false, count = null } = {}) {
+    this.action = 'upsert';
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    this.onConflict = onConflict;
+    this.ignoreDuplicates = ignoreDuplicates;
+    this.countMode = count;
+    return this;
+  }
+
+  update(values, { count = null } = {}) {
+    this.action = 'update';
+    this.values = values;
+    this.countMode = count;
+    return this;
+  }
+
+  delete({ count = null } = {}) {
+    this.action = 'delete';
+    this.countMode = count;
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push({ column, op, value });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+
+  // not(col, 'is', null) / not(col, 'in', '(a,b)') / not(col, 'eq', v)
+  not(column, op, value) {
+    if (op === 'in' && typeof value === 'string') value = splitColumns(value.replace(/^\(|\)$/g, '')).map(v => v.replace(/^"|"$/g, ''));
+    this.filters.push({ column, op, value, negate: true });
+    return this;
+  }
+
+  match(query) {
+    for (const [column, value] of Object.entries(query)) this.filter(column, 'eq', value);
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.sort.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(n) {
+    this.rowLimit = n;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowOffset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  abortSignal(signal) {
+    this.signal = signal;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    try {
+      if (this.signal && this.signal.aborted) throw new StorageError('Requisição abortada', { code: 'ABORTED', status: 0 });
+      const table = await this.client.describe(this.table);
+      const result = await this.client.driver.run(exec => this.run(exec, table));
+      return this.shape(result, table);
+    } catch (e) {
+      const error = this.client.driver.toStorageError(e);
+      return { data: null, error: { code: error.code, message: error.message, details: error.details }, count: null, status: error.status, statusText: error.message };
+    }
+  }
+
+  shape({ rows, count }, table) {
+    let data = this.columns === null && this.action !== 'select' ? null : rows.map(r => this.client.driver.fromRow(r, table));
+    if (this.head) data = null;
+    if (this.singleMode && data) {
+      if (data.length > 1 || (this.singleMode === 'single' && data.length === 0)) {
+        throw new StorageError(`A consulta devolveu ${data.length} linhas, esperado 1`, { code: 'PGRST116', status: 406 });
+      }
+      data = data[0] ?? null;
+    }
+    return { data, error: null, count: this.countMode ? count : null, status: this.action === 'insert' || this.action === 'upsert' ? 201 : 200, statusText: 'OK' };
+  }
+
+  // ---------- SQL ----------
+
+  column(table, name) {
+    if (!table.columns.has(name)) {
+      throw new StorageError(`Coluna ${name} não existe em ${this.table}`, { code: 'PGRST204', status: 400 });
+    }
+    return quote(name);
+  }
+
+  selectList(table, columns) {
+    if (columns === null || columns.trim() === '*') return '*';
+    return splitColumns(columns).map(c => (c === '*' ? '*' : this.column(table, c))).join(', ');
+  }
+
+  where(table, params) {
+    const driver = this.client.driver;
+    const param = (column, v) => {
+      params.push(driver.toParam(v, table.columns.get(column)));
+      return driver.placeholder(params.length);
+    };
+    const parts = this.filters.map(({ column, op, value, negate }) => {
+      const col = this.column(table, column);
+      let expr;
+      if (op === 'in') {
+        const list = Array.from(value || []);
+        expr = list.length ? `${col} IN (${list.map(v => param(column, v)).join(', ')})` : '1 = 0';
+      } else if (op === 'is') {
+        if (value !== null && typeof value !== 'boolean') throw new StorageError(`is(${column}) aceita null, true ou false`);
+        expr = `${col} IS ${value === null ? 'NULL' : value ? 'TRUE' : 'FALSE'}`;
+      } else if (OPERATORS[op]) {
+        // PostgREST: eq.null is not a thing, match({ col: null }) is; both read as IS NULL here
+        expr = value === null ? `${col} IS ${op === 'neq' ? 'NOT ' : ''}NULL` : `${col} ${OPERATORS[op]} ${param(column, value)}`;
+      } else {
+        throw new StorageError(`Filtro não suportado: ${op}`);
+      }
+      return negate ? `NOT (${expr})` : expr;
+    });
+    return parts.length ? ` WHERE ${parts.join(' AND ')}` : '';
+  }
+
+  tail(table) {
+    let sql = '';
+    if (this.sort.length) {
+      sql += ` ORDER BY ${this.sort.map(s => {
+        const nulls = s.nullsFirst === undefined ? '' : s.nullsFirst ? ' NULLS FIRST' : ' NULLS LAST';
+        return `${this.column(table, s.column)} ${s.ascending ? 'ASC' : 'DESC'}${nulls}`;
+      }).join(', ')}`;
+    }
+    if (this.rowLimit !== null) sql += ` LIMIT ${Number(this.rowLimit)}`;
+    if (this.rowOffset !== null) sql += ` OFFSET ${Number(this.rowOffset)}`;  // only set by range(), with a limit
+    return sql;
+  }
+
+  returning(table) {
+    return this.columns === null ? '' : ` RETURNING ${this.selectList(table, this.columns)}`;
+  }
+
+  async run(exec, table) {
+    const name = quote(this.table);
+    switch (this.action) {
+      case 'select': {
+        const params = [];
+        const where = this.where(table, params);
+        let count = null;
+        if (this.countMode) count = Number((await exec(`SELECT COUNT(*) AS n FROM ${name}${where}`, params)).rows[0].n);
+        if (this.head) return { rows: [], count };
+        const { rows } = await exec(`SELECT ${this.selectList(table, this.columns)} FROM ${name}${where}${this.tail(table)}`, params);
+        return { rows, count };
+      }
+      case 'insert':
+      case 'upsert':
+        return this.write(exec, table);
+      case 'update': {
+        const params = [];
+        const entries = Object.entries(this.values).filter(([, v]) => v !== undefined);
+        if (!entries.length) throw new StorageError(`update em ${this.table} sem colunas`);
+        const set = entries.map(([c, v]) => {
+          params.push(this.client.driver.toParam(v, table.columns.get(c)));
+          return `${this.column(table, c)} = ${this.client.driver.placeholder(params.length)}`;
+        }).join(', ');
+        const res = await exec(`UPDATE ${name} SET ${set}${this.where(table, params)}${this.returning(table)}`, params);
+        return { rows: res.rows, count: res.rowCount };
+      }
+      case 'delete': {
+        // PostgREST refuses an unfiltered delete; so do we
+        if (!this.filters.length) throw new StorageError(`delete em ${this.table} sem filtro`, { code: '21000' });
+        const params = [];
+        const res = await exec(`DELETE FROM ${name}${this.where(table, params)}${this.returning(table)}`, params);
+        return { rows: res.rows, count: res.rowCount };
+      }
+      default:
+        throw new StorageError(`Consulta em ${this.table} sem select/insert/upsert/update/delete`);
+    }
+  }
+
+  /* Rows are grouped by their key set (supabase-js sends the union of keys; a missing key
+     there means default/null, here it means "not written" — same result for these scripts)
+     and written as multi-row VALUES, all inside the driver's transaction. */
+  async write(exec, table) {
+    const driver = this.client.driver;
+    const target = this.onConflict ? splitColumns(this.onConflict) : table.primaryKey;
+    if (this.action === 'upsert' && !target.length) throw new StorageError(`upsert em ${this.table} sem onConflict nem chave primária`);
+    const groups = new Map();
+    for (const row of this.rows) {
+      const cols = Object.keys(row).filter(c => row[c] !== undefined);
+      const sig = cols.join(',');
+      if (!groups.has(sig)) groups.set(sig, { cols, rows: [] });
+      groups.get(sig).rows.push(row);
+    }
+
+    const out = { rows: [], count: 0 };
+    for (const { cols, rows } of groups.values()) {
+      const names = cols.map(c => this.column(table, c));
+      for (let i = 0; i < rows.length; i += driver.maxRowsPerStatement(cols.length)) {
+        const params = [];
+        const values = rows.slice(i, i + driver.maxRowsPerStatement(cols.length)).map(row => `(${cols.map(c => {
+          params.push(driver.toParam(row[c], table.columns.get(c)));
+          return driver.placeholder(params.length);
+        }).join(', ')})`).join(', ');
+        let sql = `INSERT INTO ${quote(this.table)} (${names.join(', ')}) VALUES ${values}`;
+        if (this.action === 'upsert') {
+          const updates = cols.filter(c => !target.includes(c));
+          const conflict = `(${target.map(c => this.column(table, c)).join(', ')})`;
+          sql += this.ignoreDuplicates || !updates.length
+            ? ` ON CONFLICT ${conflict} DO NOTHING`
+            : ` ON CONFLICT ${conflict} DO UPDATE SET ${updates.map(c => `${quote(c)} = excluded.${quote(c)}`).join(', ')}`;
+        }
+        const res = await exec(sql + this.returning(table), params);
+        out.rows.push(...res.rows);
+        out.count += res.rowCount;
+      }
+    }
+    return out;
+  }
+}
+
+/* driver: { dialect, placeholder(i), maxRowsPerStatement(ncols), run(fn), describe(table),
+   ensureSchema(), toParam(v, kind), fromRow(row, table), toStorageError(e), rpc?(fn, args), close() }
+   — see lib/storage.js. */
+function createSqlClient(driver) {
+  let ready = null;
+  const tables = new Map();
+
+  const client = {
+    driver,
+    backend: driver.dialect,
+    async describe(table) {
+      if (!ready) ready = driver.ensureSchema();
+      await ready;
+      if (!tables.has(table)) tables.set(table, driver.describe(table));
+      const info = await tables.get(table);
+      if (!info) throw new StorageError(`Tabela ${table} não existe`, { code: '42P01', status: 404 });
+      return info;
+    },
+    from: table => new SqlQuery(client, table),
+    async rpc(fn, args = {}) {
+      try {
+        if (!driver.rpc) throw new StorageError(`rpc ${fn} não disponível no backend ${driver.dialect}`, { code: 'PGRST202', status: 404 });
+        if (!ready) ready = driver.ensureSchema();
+        await ready;
+        return { data: await driver.rpc(fn, args), error: null, status: 200 };
+      } catch (e) {
+        const error = driver.toStorageError(e);
+        return { data: null, error: { code: error.code, message: error.message, details: error.details }, status: error.status };
+      }
+    },
+    close: () => driver.close()
+  };
+  return client;
+}
+
+module.exports = { createSqlClient, StorageError, quote };
@@ -0,0 +1,295 @@
+/* scripts/lib/storage.js
+   Onde os scripts gravam, escolhido por storage.backend (lib/config.js):
+   - supabase (padrão): client do @supabase/supabase-js com SUPABASE_URL / SUPABASE_KEY;
+   - sqlite: arquivo local (storage.sqliteFile) via better-sqlite3, esquema de
+     sql/sqlite/schema.sql;
+   - postgres: banco comum (storage.postgresUrl / DATABASE_URL) via pg; aplica
+     sql/*.sql em ordem, registrando cada arquivo em schema_migrations.
+   Os backends locais expõem o mesmo query builder (lib/sql_client.js), então os
+   scripts não mudam e o sync roda offline contra os caches JSON. O esquema é criado
+   na primeira consulta. better-sqlite3 e pg só são carregados quando usados.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { createSqlClient, StorageError, quote } = require('./sql_client');
+
+const SQL_DIR = path.join(__dirname, '..', '..', 'sql');
+const SQLITE_SCHEMA = path.join(SQL_DIR, 'sqlite', 'schema.sql');
+const MIGRATION_RE = /^\d+_.+\.sql$/;
+const STATEMENT_CACHE = 200;
+
+function requireDriver(pkg, backend) {
+  try {
+    return require(pkg);
+  } catch (e) {
+    if (e.code === 'MODULE_NOT_FOUND' && e.message.includes(`'${pkg}'`)) {
+      throw new Error(`storage.backend = ${backend} precisa do pacote ${pkg} (npm install ${pkg})`);
+    }
+    throw e;
+  }
+}
+
+// values as the column expects them; json columns get JSON text (like PostgREST's body)
+function baseParam(v, kind) {
+  if (v === undefined || v === null) return null;
+  if (kind === 'json') return JSON.stringify(v);
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'object' && kind !== 'array') return JSON.stringify(v);
+  return v;
+}
+
+/* ---------------- SQLite ---------------- */
+
+const SQLITE_CONSTRAINT_CODES = {
+  SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+  SQLITE_CONSTRAINT_UNIQUE: '23505',
+  SQLITE_CONSTRAINT_FOREIGNKEY: '23503',
+  SQLITE_CONSTRAINT_NOTNULL: '23502',
+  SQLITE_CONSTRAINT_CHECK: '23514'
+};
+
+function sqliteKind(declared) {
+  const t = String(declared || '').toLowerCase();
+  if (t.includes('json')) return 'json';
+  if (t.includes('bool')) return 'bool';
+  return 'scalar';
+}
+
+// sql/008 aplicar_cliente_canonico, same two updates
+const SQLITE_RPC = {
+  async aplicar_cliente_canonico(exec, { p_clientes, p_carrinhos }) {
+    for (const x of p_clientes || []) {
+      await exec('UPDATE "import_clientes" SET "cliente_canonico_id" = ? WHERE "codigo" = ?', [x.cliente_canonico_id ?? null, String(x.codigo)]);
+    }
+    for (const x of p_carrinhos || []) {
+      await exec('UPDATE "carrinhos" SET "cliente_canonico_id" = ?, "cliente_codigo" = ? WHERE "carrinho_id" = ?', [x.cliente_canonico_id ?? null, x.cliente_codigo ?? null, String(x.carrinho_id)]);
+    }
+    return null;
+  }
+};
+
+function sqliteDriver(file) {
+  const Database = requireDriver('better-sqlite3', 'sqlite');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  const statements = new Map();
+  let queue = Promise.resolve();
+
+  function exec(sql, params = []) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      if (statements.size >= STATEMENT_CACHE) statements.clear();
+      stmt = db.prepare(sql);
+      statements.set(sql, stmt);
+    }
+    if (stmt.reader) {
+      const rows = stmt.all(params);
+      return { rows, rowCount: rows.length };
+    }
+    return { rows: [], rowCount: stmt.run(params).changes };
+  }
+
+  return {
+    dialect: 'sqlite',
+    placeholder: () => '?',
+    maxRowsPerStatement: ncols => Math.max(1, Math.min(500, Math.floor(32000 / Math.max(1, ncols)))),
+
+    // one connection: queries run one at a time, each in its own transaction
+    run(fn) {
+      const job = queue.then(async () => {
+        db.exec('BEGIN');
+        try {
+          const result = await fn(async (sql, params) => exec(sql, params));
+          db.exec('COMMIT');
+          return result;
+        } catch (e) {
+          if (db.inTransaction) db.exec('ROLLBACK');
+          throw e;
+        }
+      });
+      queue = job.catch(() => {});
+      return job;
+    },
+
+    async ensureSchema() {
+      db.exec(fs.readFileSync(SQLITE_SCHEMA, 'utf8'));
+    },
+
+    async describe(table) {
+      const cols = db.prepare(`PRAGMA table_info(${quote(table)})`).all();
+      if (!cols.length) return null;
+      return {
+        columns: new Map(cols.map(c => [c.name, sqliteKind(c.type)])),
+        primaryKey: cols.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name)
+      };
+    },
+
+    toParam(v, kind) {
+      return typeof v === 'boolean' ? (v ? 1 : 0) : baseParam(v, kind);
+    },
+
+    fromRow(row, table) {
+      for (const [col, kind] of table.columns) {
+        const v = row[col];
+        if (v === null || v === undefined) continue;
+        if (kind === 'json' && typeof v === 'string') {
+          try { row[col] = JSON.parse(v); } catch { /* not JSON text: keep as stored */ }
+        } else if (kind === 'bool') {
+          row[col] = Boolean(v);
+        }
+      }
+      return row;
+    },
+
+    toStorageError(e) {
+      if (e instanceof StorageError) return e;
+      const code = String(e.code || '');
+      if (code === 'SQLITE_BUSY' || code === 'SQLITE_LOCKED') return new StorageError(e.message, { code, status: 503 });
+      if (code.startsWith('SQLITE_CONSTRAINT')) return new StorageError(e.message, { code: SQLITE_CONSTRAINT_CODES[code] || code, status: 409 });
+      if (code.startsWith('SQLITE_')) return new StorageError(e.message, { code, status: 400 });
+      return new StorageError(e.message, { code: code || null, status: 500 });
+    },
+
+    rpc(fn, args) {
+      if (!SQLITE_RPC[fn]) throw new StorageError(`rpc ${fn} não existe no backend sqlite`, { code: 'PGRST202', status: 404 });
+      return this.run(exec => SQLITE_RPC[fn](exec, args));
+    },
+
+    async close() {
+      await queue;
+      db.close();
+    }
+  };
+}
+
+/* ---------------- Postgres ---------------- */
+
+const PG_OID = { int8: 20, numeric: 1700, timestamptz: 1184 };
+// classes that are worth a retry (the write pool retries 5xx): serialization, resources, shutdown, connection
+const PG_TRANSIENT_CLASSES = ['40', '53', '57', '08'];
+
+function pgKind(dataType) {
+  if (dataType === 'json' || dataType === 'jsonb') return 'json';
+  if (dataType === 'ARRAY') return 'array';
+  if (dataType === 'boolean') return 'bool';
+  return 'scalar';
+}
+
+function postgresDriver(url) {
+  const pg = requireDriver('pg', 'postgres');
+  // numbers and ISO timestamps, as PostgREST returns them
+  const parsers = {
+    [PG_OID.int8]: v => Number(v),
+    [PG_OID.numeric]: v => parseFloat(v),
+    [PG_OID.timestamptz]: v => new Date(v).toISOString()
+  };
+  const types = { getTypeParser: (oid, format) => parsers[oid] || pg.types.getTypeParser(oid, format) };
+  const pool = new pg.Pool({ connectionString: url, types, allowExitOnIdle: true });
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(async (sql, params) => {
+        const res = await client.query(sql, params);
+        return { rows: res.rows, rowCount: res.rowCount };
+      });
+      await client.query('COMMIT');
+      return result;
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    dialect: 'postgres',
+    placeholder: i => `$${i}`,
+    maxRowsPerStatement: ncols => Math.max(1, Math.min(1000, Math.floor(65000 / Math.max(1, ncols)))),
+    run: transaction,
+
+    // sql/*.sql not yet in schema_migrations, in order; the advisory lock keeps two runs from racing
+    async ensureSchema() {
+      const files = fs.readdirSync(SQL_DIR).filter(f => MIGRATION_RE.test(f)).sort();
+      await transaction(async exec => {
+        await exec("SELECT pg_advisory_xact_lock(hashtext('schema_migrations'))");
+        await exec('CREATE TABLE IF NOT EXISTS schema_migrations (arquivo text PRIMARY KEY, aplicado_em timestamptz NOT NULL DEFAULT now())');
+        const applied = new Set((await exec('SELECT arquivo FROM schema_migrations')).rows.map(r => r.arquivo));
+        for (const file of files) {
+          if (applied.has(file)) continue;
+          console.log(`→ Postgres: aplicando sql/${file}`);
+          await exec(fs.readFileSync(path.join(SQL_DIR, file), 'utf8'));
+          await exec('INSERT INTO schema_migrations (arquivo) VALUES ($1)', [file]);
+        }
+      });
+    },
+
+    async describe(table) {
+      const { rows } = await pool.query(
+        `SELECT column_name, data_type FROM information_schema.columns
+          WHERE table_schema = current_schema() AND table_name = $1 ORDER BY ordinal_position`, [table]);
+      if (!rows.length) return null;
+      const pk = await pool.query(
+        `SELECT a.attname FROM pg_index i
+           JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY (i.indkey)
+          WHERE i.indrelid = to_regclass($1) AND i.indisprimary`, [quote(table)]);
+      return {
+        columns: new Map(rows.map(r => [r.column_name, pgKind(r.data_type)])),
+        primaryKey: pk.rows.map(r => r.attname)
+      };
+    },
+
+    toParam: baseParam,
+    fromRow: row => row,
+
+    toStorageError(e) {
+      if (e instanceof StorageError) return e;
+      const code = String(e.code || '');
+      if (!/^[0-9A-Z]{5}$/.test(code)) return new StorageError(e.message, { code: code || null, status: 0 });  // connection refused, DNS…
+      if (code.startsWith('23')) return new StorageError(e.message, { code, status: 409, details: e.detail || null });
+      if (PG_TRANSIENT_CLASSES.includes(code.slice(0, 2))) return new StorageError(e.message, { code, status: 503 });
+      return new StorageError(e.message, { code, status: code === '42P01' ? 404 : 400, details: e.detail || null });
+    },
+
+    // named arguments, objects as jsonb (sql/008 aplicar_cliente_canonico)
+    async rpc(fn, args) {
+      const names = Object.keys(args);
+      const { rows } = await pool.query(
+        `SELECT ${quote(fn)}(${names.map((n, i) => `${quote(n)} => $${i + 1}`).join(', ')}) AS result`,
+        names.map(n => baseParam(args[n], 'json')));
+      return rows[0] ? rows[0].result : null;
+    },
+
+    close: () => pool.end()
+  };
+}
+
+/* ---------------- factory ---------------- */
+
+function createStorage(config, env = process.env) {
+  const { backend, sqliteFile, postgresUrl } = config.storage;
+  if (backend === 'sqlite') return createSqlClient(sqliteDriver(sqliteFile));
+  if (backend === 'postgres') {
+    if (!postgresUrl) throw new Error('storage.backend = postgres sem URL (DATABASE_URL ou --postgres-url)');
+    return createSqlClient(postgresDriver(postgresUrl));
+  }
+  if (!env.SUPABASE_URL || !env.SUPABASE_KEY) throw new Error('Missing Supabase credentials (SUPABASE_URL / SUPABASE_KEY)');
+  const { createClient } = require('@supabase/supabase-js');
+  return createClient(env.SUPABASE_URL, env.SUPABASE_KEY, { auth: { persistSession: false } });
+}
+
+// what the scripts call `supabase`: the Supabase client or a local one with the same interface
+function createStorageOrExit(config, env) {
+  try {
+    return createStorage(config, env);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { createStorage, createStorageOrExit };
@@ -0,0 +1,26 @@
+/* scripts/lib/sync_state.js
+   Estado persistido entre execuções (tabela sync_state, chave -> jsonb).
+   Usado para guardar números da última execução bem-sucedida.
+*/
+
+async function getState(supabase, key) {
+  const { data, error } = await supabase
+    .from('sync_state')
+    .select('key,value')
+    .eq('key', key)
+    .limit(1);
+  if (error) {
+    console.error(`Erro lendo sync_state (${key}):`, error);
+    return null;
+  }
+  return data && data.length ? data[0].value : null;
+}
+
+async function setState(supabase, key, value) {
+  const { error } = await supabase
+    .from('sync_state')
+    .upsert([{ key, value, atualizado_em: new Date().toISOString() }], { onConflict: 'key' });
+  if (error) console.error(`Erro gravando sync_state (${key}):`, error);
+}
+
+module.exports = { getState, setState };
@@ -0,0 +1,113 @@
+/* scripts/lib/synthetic_keys.js
+   Chaves sintéticas determinísticas para registros do feed que chegam sem código.
+   A chave é derivada do conteúdo (cliente, data, totais, itens), então reprocessar o
+   mesmo feed gera as mesmas chaves e o upsert converge em vez de duplicar.
+   Os registros que precisaram de chave sintética vão para um relatório em JSON,
+   para cobrar o fornecedor.
+*/
+
+const fs = require('fs');
+const { contentHash } = require('./hash');
+
+const KEY_HASH_LENGTH = 12;
+const SAMPLE_SIZE = 5;
+
+function shortHash(value) {
+  return contentHash(value).slice(0, KEY_HASH_LENGTH);
+}
+
+function clean(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  return s === '' ? null : s;
+}
+
+function digits(v) {
+  const s = String(v ?? '').replace(/\D/g, '');
+  return s || null;
+}
+
+/*
+  Client without codigo: C_<hash> of its identity fields (e-mail, documento, telefone,
+  nome + cidade). Returns { key, basis } where basis names the fields used; when none of
+  them is present the node itself (minus pedidos/produtos, which grow) is hashed.
+*/
+function syntheticClientKey(client) {
+  const identity = {
+    email: clean(client.email) && clean(client.email).toLowerCase(),
+    documento: digits(client.cpf ?? client.cnpj ?? client.documento ?? client.cpf_cnpj),
+    telefone: digits(client.whatsapp ?? client.celular ?? client.telefone),
+    nome: clean(client.nome) && clean(client.nome).toLowerCase(),
+    cidade: clean(client.cidade) && clean(client.cidade).toLowerCase()
+  };
+  const basis = Object.keys(identity).filter(k => identity[k] !== null);
+  if (identity.email || identity.documento || identity.telefone || identity.nome) {
+    return { key: `C_${shortHash(identity)}`, basis };
+  }
+  const { pedidos, produtos_comprados, ...rest } = client;
+  return { key: `C_${shortHash(rest)}`, basis: ['conteudo'] };
+}
+
+/*
+  Order without codigo: P_<cliente>_<hash> of client, date, totals and items.
+  occurrences (Map, one per client node) tells identical orders of the same client
+  apart: the second one gets a _2 suffix, and so on, in feed order.
+*/
+function syntheticOrderKey(clienteCodigo, pedido, rawItem, occurrences) {
+  const content = {
+    cliente: clienteCodigo,
+    data: pedido.data_hora_pedido ?? null,
+    valor_total_produtos: pedido.valor_total_produtos ?? null,
+    valor_frete: pedido.valor_frete ?? null,
+    valor_total_pedido: pedido.valor_total_pedido ?? null,
+    desconto: pedido.desconto ?? null,
+    itens: rawItem.itens ?? rawItem.produtos ?? rawItem.items ?? null
+  };
+  const base = `P_${clienteCodigo}_${shortHash(content)}`;
+  const n = (occurrences.get(base) || 0) + 1;
+  occurrences.set(base, n);
+  return n === 1 ? base : `${base}_${n}`;
+}
+
+/* ---------------- report ---------------- */
+
+function createKeyReport(source) {
+  return {
+    source,
+    generated_at: new Date().toISOString(),
+    totals: {},
+    records: []
+  };
+}
+
+// tipo: 'cliente' | 'pedido'
+function reportAdd(report, tipo, entry) {
+  if (!report) return;
+  report.totals[tipo] = (report.totals[tipo] || 0) + 1;
+  report.records.push({ tipo, ...entry });
+}
+
+function printKeyReportSummary(report) {
+  const tipos = Object.keys(report.totals);
+  if (!tipos.length) {
+    console.log('→ Chaves sintéticas: nenhum registro sem código.');
+    return;
+  }
+  console.log(`→ Chaves sintéticas: ${tipos.map(t => `${t} ${report.totals[t]}`).join(', ')}`);
+  for (const r of report.records.slice(0, SAMPLE_SIZE)) console.log(`    - ${JSON.stringify(r)}`);
+  if (report.records.length > SAMPLE_SIZE) console.log(`    … (+${report.records.length - SAMPLE_SIZE})`);
+}
+
+function writeKeyReport(report, file) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  console.log(`Relatório de chaves sintéticas gravado em ${file}`);
+}
+
+module.exports = {
+  syntheticClientKey,
+  syntheticOrderKey,
+  createKeyReport,
+  reportAdd,
+  printKeyReportSummary,
+  writeKeyReport
+};
@@ -0,0 +1,227 @@
+/* scripts/lib/webhooks.js
+   Webhooks de saída para carrinhos abandonados.
+   A partir dos eventos de ciclo de vida (cart_history.js) monta um evento por carrinho
+   novo / reaberto / com mudança relevante (itens novos, quantidade maior, total maior),
+   assina com HMAC-SHA256 e faz POST para cada URL de WEBHOOK_URLS, com retries.
+   Toda entrega fica em webhook_entregas (sql/010); as que falharam podem ser reenviadas
+   com scripts/webhooks_replay.js. Sem secret nada é enviado: receptores que conferem a
+   assinatura recusariam o evento, então a entrega fica 'failed' até o secret ser configurado.
+
+   Config: seção webhooks de lib/config.js — urls (WEBHOOK_URLS, separadas por vírgula),
+           secret (WEBHOOK_SECRET), retries (WEBHOOK_RETRIES, 3), timeoutMs (WEBHOOK_TIMEOUT_MS, 10000)
+   Headers: X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp,
+            X-Webhook-Signature: sha256=<hex de HMAC(secret, "<timestamp>.<body>")>
+*/
+
+const crypto = require('crypto');
+const { contentHash } = require('./hash');
+const { redactUrl } = require('./feeds');
+const { planAdd } = require('./plan');
+
+const USER_AGENT = 'fornecedoruss-json-cache-webhooks';
+const NO_SECRET_ERROR = 'WEBHOOK_SECRET não definido: entrega sem assinatura recusada';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+// stable id of a target URL for the delivery log (the URL itself may carry tokens)
+function targetId(url) {
+  return contentHash(url).slice(0, 16);
+}
+
+/* ---------------- events ---------------- */
+
+function cartSummary(row) {
+  return {
+    carrinho_id: row.carrinho_id,
+    id_clientes: row.id_clientes ?? null,
+    nome: row.nome ?? null,
+    email: row.email_normalizado ?? row.email ?? null,
+    celular_e164: row.celular_e164 ?? null,
+    celular_tipo: row.celular_tipo ?? null,
+    total_valor: row.total_valor ?? null,
+    transacao_em: row.transacao_em ?? null,
+    produtos: row.produtos ?? []
+  };
+}
+
+/*
+  lifecycle: events from computeLifecycle for this run
+  rowsById: Map carrinho_id -> normalized cart row
+  returns one webhook event per cart: cart.created | cart.reopened | cart.updated
+  (cart.updated only for new items, higher quantities or a higher total)
+*/
+function buildCartWebhookEvents(lifecycle, rowsById, now = new Date().toISOString()) {
+  const byCart = new Map();
+  for (const e of lifecycle) {
+    if (!rowsById.has(e.carrinho_id)) continue;
+    if (!byCart.has(e.carrinho_id)) byCart.set(e.carrinho_id, {});
+    const acc = byCart.get(e.carrinho_id);
+    if (e.tipo === 'appeared') acc.created = true;
+    if (e.tipo === 'reopened') acc.reopened = true;
+    if (e.tipo === 'items_changed') {
+      const added = e.detalhes.added || [];
+      const increased = (e.detalhes.changed || []).filter(c => c.para > c.de);
+      if (added.length) acc.items_added = added;
+      if (increased.length) acc.quantity_increased = increased;
+    }
+    if (e.tipo === 'total_changed' && e.detalhes.de !== null && e.detalhes.para !== null && e.detalhes.para > e.detalhes.de) {
+      acc.total_increased = { de: e.detalhes.de, para: e.detalhes.para };
+    }
+  }
+
+  const out = [];
+  for (const [carrinhoId, acc] of byCart) {
+    const { created, reopened, ...changes } = acc;
+    const type = created ? 'cart.created' : reopened ? 'cart.reopened' : Object.keys(changes).length ? 'cart.updated' : null;
+    if (!type) continue;
+    out.push({
+      id: `evt_${contentHash([carrinhoId, type, now]).slice(0, 20)}`,
+      type,
+      occurred_at: now,
+      carrinho: cartSummary(rowsById.get(carrinhoId)),
+      changes: type === 'cart.updated' ? changes : {}
+    });
+  }
+  return out;
+}
+
+/* ---------------- signing / delivery ---------------- */
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// constant-time check, for receivers
+function verifySignature(secret, timestamp, body, header) {
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+  const given = Buffer.from(String(header || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function backoffMs(attempt) {
+  const base = 500 * 2 ** attempt;
+  return base + Math.floor(Math.random() * base / 2);
+}
+
+async function postOnce(url, event, secret, timeoutMs) {
+  const body = JSON.stringify(event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': USER_AGENT,
+    'X-Webhook-Id': event.id,
+    'X-Webhook-Event': event.type,
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+  };
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+    if (res.body) await res.body.cancel();
+    return res.status;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* POST with retries on network errors, timeouts, 408/429/5xx.
+   settings: config.webhooks ({ secret, retries, timeoutMs }); without a secret nothing
+   is sent and the delivery fails with NO_SECRET_ERROR.
+   Resolves { ok, http_status, tentativas, erro } — never throws. */
+async function deliver(url, event, { secret, retries, timeoutMs }) {
+  if (!secret) return { ok: false, http_status: null, tentativas: 0, erro: NO_SECRET_ERROR };
+  let status = null;
+  let erro = null;
+  let attempt = 0;
+  for (; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(backoffMs(attempt - 1));
+    try {
+      status = await postOnce(url, event, secret, timeoutMs);
+      if (status >= 200 && status < 300) return { ok: true, http_status: status, tentativas: attempt + 1, erro: null };
+      erro = `HTTP ${status}`;
+      if (!(status === 408 || status === 429 || status >= 500)) break;
+    } catch (e) {
+      status = null;
+      erro = e.name === 'AbortError' ? `timeout após ${timeoutMs}ms` : e.message;
+    }
+  }
+  return { ok: false, http_status: status, tentativas: Math.min(attempt + 1, retries + 1), erro };
+}
+
+/* ---------------- delivery log ---------------- */
+
+function deliveryRow(url, event, result, previous = null, now = new Date().toISOString()) {
+  return {
+    evento_id: event.id,
+    destino: targetId(url),
+    destino_host: redactUrl(url),
+    tipo: event.type,
+    carrinho_id: event.carrinho ? String(event.carrinho.carrinho_id) : null,
+    payload: event,
+    status: result.ok ? 'delivered' : 'failed',
+    tentativas: (previous ? previous.tentativas || 0 : 0) + result.tentativas,
+    http_status: result.http_status,
+    erro: result.erro,
+    criado_em: previous ? previous.criado_em : now,
+    entregue_em: result.ok ? now : null,
+    atualizado_em: now
+  };
+}
+
+async function saveDeliveries(supabase, rows) {
+  for (let i = 0; i < rows.length; i += 200) {
+    const chunk = rows.slice(i, i + 200);
+    const { error } = await supabase.from('webhook_entregas').upsert(chunk, { onConflict: 'evento_id,destino' });
+    if (error) console.error('Erro gravando webhook_entregas:', error);
+  }
+}
+
+/* Sends every event to every URL of settings (config.webhooks) and logs each delivery.
+   Failures are not fatal: they stay 'failed' in webhook_entregas for replay.
+   returns { delivered, failed } */
+async function dispatchWebhooks(supabase, events, settings, { plan = null } = {}) {
+  const stats = { delivered: 0, failed: 0 };
+  const targets = settings.urls;
+  if (!events.length) return stats;
+  if (!targets.length) {
+    console.log(`Webhooks: ${events.length} eventos, nenhuma URL em WEBHOOK_URLS — nada enviado.`);
+    return stats;
+  }
+  if (plan) {
+    for (const url of targets) planAdd(plan, 'webhooks', `post ${redactUrl(url)}`, events.map(e => ({ id: e.id, type: e.type, carrinho_id: e.carrinho.carrinho_id })));
+    return stats;
+  }
+  if (!settings.secret) {
+    console.error(`✖ Webhooks: WEBHOOK_SECRET não definido — ${events.length} eventos não enviados; ficam 'failed' em webhook_entregas para reenvio (scripts/webhooks_replay.js) depois de configurar o secret.`);
+  }
+
+  const rows = [];
+  for (const event of events) {
+    for (const url of targets) {
+      const result = await deliver(url, event, settings);
+      rows.push(deliveryRow(url, event, result));
+      if (result.ok) stats.delivered++;
+      else {
+        stats.failed++;
+        if (result.erro === NO_SECRET_ERROR) continue;
+        console.error(`Webhook ${event.type} ${event.carrinho.carrinho_id} → ${redactUrl(url)} falhou após ${result.tentativas} tentativas: ${result.erro}`);
+      }
+    }
+  }
+  await saveDeliveries(supabase, rows);
+  console.log(`Webhooks: ${stats.delivered} entregues, ${stats.failed} falharam (reenviar com scripts/webhooks_replay.js)`);
+  return stats;
+}
+
+module.exports = {
+  targetId,
+  buildCartWebhookEvents,
+  signPayload,
+  verifySignature,
+  deliver,
+  deliveryRow,
+  saveDeliveries,
+  dispatchWebhooks
+};
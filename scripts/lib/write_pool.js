@@ -0,0 +1,168 @@
+/* scripts/lib/write_pool.js
+   Pool de escrita no Supabase com concorrência limitada e throttling adaptativo.
+   - no máximo `limit` requisições em voo (começa na metade de `concurrency`);
+   - 429, 5xx, timeouts e erros de rede reduzem o limite pela metade e dobram a pausa
+     entre requisições; respostas saudáveis seguidas voltam a acelerar;
+   - erros transitórios são repetidos com backoff exponencial + jitter (inserts não
+     idempotentes só repetem em 429, quando a requisição com certeza não foi aplicada);
+   - stats() resume a vazão para o log da execução.
+
+   Uso: const pool = createWritePool({ concurrency: 4 });
+        const { error } = await pool.run(signal => supabase.from(t).upsert(rows).abortSignal(signal), { rows: rows.length });
+*/
+
+const HEALTHY_STREAK = 10;        // consecutive successes before raising the limit
+const MIN_PRESSURE_DELAY_MS = 200; // pause floor right after a throttle
+const TRANSIENT_PG_CODES = new Set(['57014', '40001', '40P01', '53300', '08006']);
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+function jitter(ms) {
+  return ms + Math.floor(Math.random() * ms / 2);
+}
+
+/* 'ok' | 'throttle' (429) | 'transient' (5xx, timeout, network, retryable pg codes)
+   | 'fatal' (anything else: constraint violations, bad columns… retrying won't help) */
+function classify(res) {
+  if (!res || !res.error) return 'ok';
+  const status = Number(res.status) || 0;
+  if (status === 429) return 'throttle';
+  if (status >= 500 || status === 408) return 'transient';
+  if (TRANSIENT_PG_CODES.has(String(res.error.code || ''))) return 'transient';
+  // supabase-js reports fetch failures (network, abort/timeout) as status 0
+  if (status === 0) return 'transient';
+  return 'fatal';
+}
+
+function createWritePool({ concurrency = 4, retries = 4, timeoutMs = 30000, initialDelayMs = 0, maxDelayMs = 30000, backoffMs = 500, log = console.log } = {}) {
+  const state = {
+    limit: Math.max(1, Math.ceil(concurrency / 2)),
+    delayMs: initialDelayMs,
+    streak: 0,
+    active: 0,
+    nextStart: 0
+  };
+  const stats = {
+    jobs: 0, requests: 0, ok: 0, failed: 0, retries: 0, throttled: 0, rows: 0,
+    latencyTotalMs: 0, latencyMaxMs: 0, minLimit: state.limit, maxLimit: state.limit,
+    startedAt: Date.now()
+  };
+  const queue = [];
+
+  function onHealthy() {
+    state.streak++;
+    state.delayMs = Math.floor(state.delayMs * 0.9);
+    if (state.streak >= HEALTHY_STREAK && state.limit < concurrency) {
+      state.limit++;
+      state.streak = 0;
+      stats.maxLimit = Math.max(stats.maxLimit, state.limit);
+    }
+  }
+
+  function onPressure(kind, res) {
+    stats.throttled++;
+    state.streak = 0;
+    const before = state.limit;
+    state.limit = Math.max(1, Math.floor(state.limit / 2));
+    state.delayMs = Math.min(maxDelayMs, Math.max(state.delayMs * 2, MIN_PRESSURE_DELAY_MS));
+    stats.minLimit = Math.min(stats.minLimit, state.limit);
+    const why = res.status ? `HTTP ${res.status}` : (res.error && res.error.message) || kind;
+    log(`↓ throttling (${why}): concorrência ${before} → ${state.limit}, pausa ${state.delayMs}ms`);
+  }
+
+  // spaces request starts by the current pause (shared by all workers)
+  async function pace() {
+    const now = Date.now();
+    const wait = Math.max(0, state.nextStart - now);
+    state.nextStart = Math.max(state.nextStart, now) + state.delayMs;
+    if (wait) await sleep(wait);
+  }
+
+  async function attempt(job) {
+    await pace();
+    stats.requests++;
+    const t0 = Date.now();
+    let res;
+    try {
+      res = await job.fn(AbortSignal.timeout(timeoutMs));
+    } catch (e) {
+      res = { data: null, error: { message: `${e.name || 'Error'}: ${e.message}`, code: e.code || '' }, status: 0 };
+    }
+    const ms = Date.now() - t0;
+    stats.latencyTotalMs += ms;
+    stats.latencyMaxMs = Math.max(stats.latencyMaxMs, ms);
+    return res || { data: null, error: null };
+  }
+
+  async function execute(job) {
+    for (let n = 0; ; n++) {
+      const res = await attempt(job);
+      const kind = classify(res);
+      if (kind === 'ok') {
+        onHealthy();
+        stats.ok++;
+        stats.rows += job.rows;
+        return res;
+      }
+      if (kind !== 'fatal') onPressure(kind, res);
+      const retryable = kind === 'throttle' || (kind === 'transient' && job.idempotent);
+      if (!retryable || n >= retries) {
+        stats.failed++;
+        return res;
+      }
+      stats.retries++;
+      await sleep(Math.min(maxDelayMs, jitter(backoffMs * 2 ** n)));
+    }
+  }
+
+  function pump() {
+    while (state.active < state.limit && queue.length) {
+      const job = queue.shift();
+      state.active++;
+      execute(job).then(job.resolve, e => job.resolve({ data: null, error: e, status: 0 })).finally(() => {
+        state.active--;
+        pump();
+      });
+    }
+  }
+
+  /* fn(signal) returns a supabase query (or promise of { data, error, status });
+     resolves with the last result — never rejects, callers check .error as before */
+  function run(fn, { rows = 0, idempotent = true } = {}) {
+    stats.jobs++;
+    return new Promise(resolve => {
+      queue.push({ fn, rows, idempotent, resolve });
+      pump();
+    });
+  }
+
+  function summary() {
+    const elapsedMs = Date.now() - stats.startedAt;
+    return {
+      requisicoes: stats.requests,
+      operacoes: stats.jobs,
+      ok: stats.ok,
+      falhas: stats.failed,
+      retries: stats.retries,
+      throttles: stats.throttled,
+      linhas: stats.rows,
+      duracao_ms: elapsedMs,
+      linhas_por_s: elapsedMs ? Number((stats.rows / (elapsedMs / 1000)).toFixed(1)) : 0,
+      latencia_media_ms: stats.requests ? Math.round(stats.latencyTotalMs / stats.requests) : 0,
+      latencia_max_ms: stats.latencyMaxMs,
+      concorrencia: { final: state.limit, min: stats.minLimit, max: stats.maxLimit, teto: concurrency },
+      pausa_final_ms: state.delayMs
+    };
+  }
+
+  return { run, summary };
+}
+
+function formatPoolSummary(s) {
+  return `${s.operacoes} operações em ${s.requisicoes} requisições (${s.retries} retries, ${s.throttles} throttles, ${s.falhas} falhas), ` +
+    `${s.linhas} linhas em ${(s.duracao_ms / 1000).toFixed(1)}s (${s.linhas_por_s} linhas/s), ` +
+    `latência média ${s.latencia_media_ms}ms (máx ${s.latencia_max_ms}ms), ` +
+    `concorrência ${s.concorrencia.min}–${s.concorrencia.max} de ${s.concorrencia.teto} (final ${s.concorrencia.final}), pausa final ${s.pausa_final_ms}ms`;
+}
+
+module.exports = { createWritePool, formatPoolSummary, classify };
@@ -0,0 +1,171 @@
+/* scripts/reconcile_recovery.js
+   Reconciliação carrinho abandonado -> pedido (recuperação).
+   Rodar depois dos dois syncs. Um carrinho é marcado como recuperado quando o mesmo
+   cliente (carrinhos.cliente_codigo de resolve_identities.js, id_clientes =
+   import_clientes.codigo, ou mesmo e-mail normalizado) faz um pedido em
+   import_pedidos, dentro da janela RECOVERY_WINDOW_DAYS após o carrinho, contendo ao
+   menos um dos produtos do carrinho (via import_clientes_produtos.id_pedido).
+   recovered_valor é o valor_total_pedido desse pedido; a soma dos itens do carrinho
+   que estão no pedido fica em recovered_valor_itens (sql/019).
+   Só conta o que ainda está no feed: lê as views import_*_ativos (sql/015).
+
+   Uso: node scripts/reconcile_recovery.js [--window-days=7] [--dry-run] [--plan-file=...]
+*/
+
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { createStorageOrExit } = require('./lib/storage');
+const { createPlan, planAdd, printPlanSummary, writePlanFile } = require('./lib/plan');
+const { recordEvents } = require('./lib/cart_history');
+const { toTime, cartTime } = require('./lib/dates');
+const { selectAllPages, selectIn } = require('./lib/paging');
+const { normEmail } = require('./lib/contacts');
+
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const supabase = createStorageOrExit(config);
+const WINDOW_DAYS = config.recovery.windowDays;
+const DRY_RUN = config.sync.dryRun;
+const PLAN_FILE = args.flags['plan-file'] || 'sync-plan-recuperacao.json';
+
+/* ---------------- helpers ---------------- */
+
+function groupBy(rows, keyFn) {
+  const map = new Map();
+  for (const r of rows) {
+    const k = keyFn(r);
+    if (k === null || k === undefined || k === '') continue;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(r);
+  }
+  return map;
+}
+
+/* ---------------- matching ---------------- */
+
+function findRecovery(cart, cartProducts, orders, orderProducts) {
+  const start = cartTime(cart);
+  if (start === null) return null;
+  const end = start + WINDOW_DAYS * 24 * 3600 * 1000;
+  const cartCodes = new Map(cartProducts.map(p => [String(p.produto_codigo || '').trim(), p]));
+  cartCodes.delete('');
+  if (!cartCodes.size) return null;
+
+  const candidates = orders
+    .map(o => ({ o, ts: toTime(o.data_hora_pedido) }))
+    .filter(x => x.ts !== null && x.ts >= start && x.ts <= end)
+    .sort((a, b) => a.ts - b.ts);
+
+  for (const { o, ts } of candidates) {
+    const refs = new Set([o.codigo_pedido, o.id].filter(v => v !== null && v !== undefined).map(v => String(v).trim()));
+    const matched = orderProducts
+      .filter(p => p.id_pedido !== null && p.id_pedido !== undefined && refs.has(String(p.id_pedido).trim()))
+      .map(p => String(p.produto_codigo || '').trim())
+      .filter(code => cartCodes.has(code));
+    if (!matched.length) continue;
+
+    const codes = Array.from(new Set(matched));
+    const itemsValue = codes.reduce((sum, code) => sum + (Number(cartCodes.get(code).valor_total) || 0), 0);
+    const orderValue = o.valor_total_pedido != null ? Number(o.valor_total_pedido) : NaN;
+    return {
+      recovered_at: new Date(ts).toISOString(),
+      recovered_codigo_pedido: o.codigo_pedido,
+      recovered_valor: isNaN(orderValue) ? null : orderValue,
+      recovered_valor_itens: itemsValue || null,
+      recovered_produtos: codes,
+      recovery_seconds: Math.round((ts - start) / 1000)
+    };
+  }
+  return null;
+}
+
+/* ------------------ main ------------------ */
+async function main() {
+  console.log(`→ Reconciliação de recuperação (janela ${WINDOW_DAYS} dias)`);
+  const plan = DRY_RUN ? createPlan('recuperacao', 'carrinhos x import_pedidos') : null;
+
+  const carts = await selectAllPages(supabase, 'carrinhos', 'carrinho_id,id_clientes,cliente_codigo,email,data_transacao,hora_transacao,transacao_em,first_seen', q => q.is('recovered_at', null));
+  console.log(`→ Carrinhos não recuperados: ${carts.length}`);
+  if (!carts.length) return;
+
+  const cartProducts = groupBy(
+    await selectIn(supabase, 'carrinho_produtos_atual', 'carrinho_id_text,produto_codigo,valor_total', 'carrinho_id_text', carts.map(c => String(c.carrinho_id))),
+    p => String(p.carrinho_id_text)
+  );
+
+  // client resolution: cliente_codigo (resolve_identities.js), id_clientes, then e-mail
+  const byCodigo = new Map((await selectIn(supabase, 'import_clientes_ativos', 'codigo,email', 'codigo', carts.map(c => c.id_clientes && String(c.id_clientes).trim())))
+    .map(c => [String(c.codigo), c.codigo]));
+  // e-mails compared normalized on both sides (email_normalizado, sql/009)
+  const emails = carts.map(c => normEmail(c.email)).filter(Boolean);
+  const byEmail = new Map();
+  for (const c of await selectIn(supabase, 'import_clientes_ativos', 'codigo,email_normalizado', 'email_normalizado', emails)) {
+    if (!byEmail.has(c.email_normalizado)) byEmail.set(c.email_normalizado, c.codigo);
+  }
+  const clienteFor = cart => cart.cliente_codigo || byCodigo.get(String(cart.id_clientes ?? '').trim()) || byEmail.get(normEmail(cart.email)) || null;
+
+  const clientCodes = Array.from(new Set(carts.map(clienteFor).filter(Boolean)));
+  console.log(`→ Carrinhos com cliente identificado: ${carts.filter(clienteFor).length} (${clientCodes.length} clientes)`);
+
+  const ordersByClient = groupBy(
+    await selectIn(supabase, 'import_pedidos_ativos', 'id,codigo_pedido,cliente_codigo,data_hora_pedido,valor_total_pedido', 'cliente_codigo', clientCodes),
+    o => String(o.cliente_codigo)
+  );
+  const productsByClient = groupBy(
+    await selectIn(supabase, 'import_clientes_produtos_ativos', 'cliente_codigo,produto_codigo,id_pedido', 'cliente_codigo', clientCodes),
+    p => String(p.cliente_codigo)
+  );
+
+  const recovered = [];
+  for (const cart of carts) {
+    const cliente = clienteFor(cart);
+    if (!cliente) continue;
+    const match = findRecovery(
+      cart,
+      cartProducts.get(String(cart.carrinho_id)) || [],
+      ordersByClient.get(String(cliente)) || [],
+      productsByClient.get(String(cliente)) || []
+    );
+    if (match) recovered.push({ carrinho_id: String(cart.carrinho_id), ...match });
+  }
+
+  const total = recovered.reduce((sum, r) => sum + (Number(r.recovered_valor) || 0), 0);
+  console.log(`→ Recuperados nesta execução: ${recovered.length} (valor ${total.toFixed(2)})`);
+
+  const events = recovered.map(r => ({
+    carrinho_id: r.carrinho_id,
+    tipo: 'recovered',
+    detalhes: { codigo_pedido: r.recovered_codigo_pedido, valor: r.recovered_valor, valor_itens: r.recovered_valor_itens, produtos: r.recovered_produtos, recovery_seconds: r.recovery_seconds },
+    criado_em: new Date().toISOString()
+  }));
+
+  if (plan) {
+    planAdd(plan, 'carrinhos', 'mark_recovered', recovered);
+    planAdd(plan, 'carrinho_eventos', 'insert', events);
+    printPlanSummary(plan);
+    writePlanFile(plan, PLAN_FILE);
+    return;
+  }
+
+  const failed = new Set();
+  for (const r of recovered) {
+    const { carrinho_id, recovered_produtos, ...patch } = r;
+    const { error } = await supabase.from('carrinhos').update(patch).eq('carrinho_id', carrinho_id);
+    if (error) {
+      failed.add(carrinho_id);
+      console.error(`Erro marcando carrinho ${carrinho_id} como recuperado:`, error);
+    }
+  }
+  await recordEvents(supabase, events.filter(e => !failed.has(e.carrinho_id)));
+
+  if (failed.size) {
+    console.error(`Reconciliação terminou com ${failed.size} falhas.`);
+    process.exit(1);
+  }
+  console.log("Reconciliação concluída.");
+}
+
+main().catch(e => {
+  console.error("Fatal error", e);
+  process.exit(1);
+});
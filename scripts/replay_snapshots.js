@@ -0,0 +1,235 @@
+/* scripts/replay_snapshots.js
+   Replay de snapshots históricos de um feed pelo sync, em ordem cronológica: reconstrói o
+   histórico de carrinhos, popula um banco novo (ex.: --storage=sqlite) ou reprocessa
+   depois de corrigir um normalizador.
+   Fontes:
+     --dir=snapshots/carrinhos  arquivos .json / .json.gz (o arquivo de fetch_feeds.js); a data
+                                vem do nome (carrinhos-2024-05-01T10-00-00-000Z.json.gz) ou do mtime
+     --git[=carrinhos.json]     versões do arquivo no histórico do git (data do commit)
+   Cada snapshot roda o sync do feed num processo filho com --as-of=<data do snapshot>
+   (first_seen, closed_at, eventos e deleted_at ficam com a data histórica) e sem
+   WEBHOOK_URLS (replay não notifica ninguém). As demais flags vão para o sync
+   (--storage, --force-delete, --config, --pause-ms…).
+   Checkpoint: cada snapshot concluído é gravado em --checkpoint (padrão
+   replay-checkpoint-<feed>.json); rodar de novo continua de onde parou, --fresh recomeça.
+   Um sync que termina com erro interrompe o replay (código 1) sem marcar o snapshot.
+   Com --dry-run cada sync só gera o plano e o checkpoint não é gravado.
+
+   Uso: node scripts/replay_snapshots.js <carts|general> (--dir=… | --git[=arquivo])
+          [--since=2024-01-01] [--until=…] [--limit=N] [--list] [--fresh] [--checkpoint=…]
+        (ou node scripts/cli.js replay carts --git …)
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { spawn, execFileSync } = require('child_process');
+const { parseArgs, isTruthy } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { FEEDS } = require('./lib/feeds');
+
+const SYNC_SCRIPTS = { carts: 'sync_from_source.js', general: 'sync_from_general.js' };
+// consumed here; every other flag is forwarded to the sync
+const REPLAY_FLAGS = ['dir', 'git', 'since', 'until', 'limit', 'list', 'fresh', 'checkpoint'];
+// fetch_feeds.js archive names: <feed>-<mtime with : and . as ->.json.gz
+const STAMP_RE = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+
+const args = parseArgs(process.argv.slice(2));
+const FEED_KEY = args.positional[0];
+const config = loadConfigOrExit(args.flags);
+const DRY_RUN = config.sync.dryRun;
+const CHECKPOINT_FILE = args.flags.checkpoint || `replay-checkpoint-${FEEDS[FEED_KEY] ? FEEDS[FEED_KEY].name : FEED_KEY}.json`;
+
+function fail(message) {
+  console.error(`✖ ${message}`);
+  process.exit(1);
+}
+
+function optionalDate(flag) {
+  const v = args.flags[flag];
+  if (v === undefined) return null;
+  const ms = Date.parse(String(v));
+  if (Number.isNaN(ms)) fail(`--${flag} inválido: ${v}`);
+  return ms;
+}
+
+/* ---------------- snapshot sources ---------------- */
+
+// snapshot: { id, at (ISO), label, extract(dest) }
+
+function dirSnapshots(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) fail(`Diretório não encontrado: ${dir}`);
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json') || name.endsWith('.json.gz'))
+    .map(name => {
+      const file = path.join(dir, name);
+      const m = name.match(STAMP_RE);
+      const at = m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z` : fs.statSync(file).mtime.toISOString();
+      return {
+        id: `file:${name}`,
+        at,
+        label: name,
+        extract: dest => (name.endsWith('.gz')
+          ? pipeline(fs.createReadStream(file), zlib.createGunzip(), fs.createWriteStream(dest))
+          : fs.promises.copyFile(file, dest))
+      };
+    });
+}
+
+async function gitShow(rev, dest) {
+  const child = spawn('git', ['show', rev], { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', d => { stderr += d; });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+  await pipeline(child.stdout, fs.createWriteStream(dest));
+  const code = await exited;
+  if (code !== 0) throw new Error(`git show ${rev}: ${stderr.trim() || `código ${code}`}`);
+}
+
+// commits that touched the file, oldest first; deletions are skipped (nothing to replay)
+function gitSnapshots(file) {
+  let log;
+  try {
+    log = execFileSync('git', ['log', '--reverse', '--diff-filter=ACMR', '--format=%H%x09%cI', '--', file], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  } catch (e) {
+    fail(`git log falhou para ${file}: ${e.message}`);
+  }
+  const rel = `./${path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/')}`;
+  return log.split('\n').filter(Boolean).map(line => {
+    const [sha, date] = line.split('\t');
+    return {
+      id: `git:${sha}`,
+      at: new Date(date).toISOString(),
+      label: `${sha.slice(0, 10)}:${file}`,
+      extract: dest => gitShow(`${sha}:${rel}`, dest)
+    };
+  });
+}
+
+/* ---------------- checkpoint ---------------- */
+
+function loadCheckpoint(source) {
+  if (isTruthy(args.flags.fresh) || !fs.existsSync(CHECKPOINT_FILE)) {
+    return { feed: FEED_KEY, source, iniciado_em: new Date().toISOString(), atualizado_em: null, done: {} };
+  }
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8'));
+  } catch (e) {
+    fail(`Checkpoint ilegível (${CHECKPOINT_FILE}): ${e.message}`);
+  }
+  if (checkpoint.feed !== FEED_KEY || checkpoint.source !== source) {
+    fail(`${CHECKPOINT_FILE} é de outro replay (${checkpoint.feed}, ${checkpoint.source}); use --fresh ou --checkpoint=outro.json`);
+  }
+  return checkpoint;
+}
+
+// write + rename: an interrupted run never leaves a half-written checkpoint
+function saveCheckpoint(checkpoint) {
+  checkpoint.atualizado_em = new Date().toISOString();
+  const tmp = `${CHECKPOINT_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tmp, CHECKPOINT_FILE);
+}
+
+/* ---------------- sync ---------------- */
+
+let current = null;
+// forwarded so a cancelled replay stops the running sync too
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    if (current) current.kill(signal);
+    else process.exit(1);
+  });
+}
+
+function runSync(file, at, forwarded) {
+  return new Promise(resolve => {
+    const script = path.join(__dirname, SYNC_SCRIPTS[FEED_KEY]);
+    current = spawn(process.execPath, [script, file, `--as-of=${at}`, ...forwarded], {
+      stdio: 'inherit',
+      env: { ...process.env, WEBHOOK_URLS: 'none' }  // 'none': empty list, also over a config file
+    });
+    current.on('exit', (code, signal) => {
+      current = null;
+      resolve(code ?? (signal ? 1 : 0));
+    });
+  });
+}
+
+// null when the sync went through, else why it did not
+async function replaySnapshot(snap, file, forwarded) {
+  try {
+    await snap.extract(file);
+  } catch (e) {
+    return `Não foi possível extrair ${snap.label}: ${e.message}`;
+  }
+  const code = await runSync(file, snap.at, forwarded);
+  fs.rmSync(file, { force: true });
+  return code === 0 ? null : `Sync de ${snap.label} terminou com código ${code}`;
+}
+
+async function main() {
+  if (!SYNC_SCRIPTS[FEED_KEY]) fail(`Feed desconhecido: ${FEED_KEY || '(nenhum)'} (use carts ou general)`);
+  const feed = FEEDS[FEED_KEY];
+  if (Boolean(args.flags.dir) === Boolean(args.flags.git)) fail('Informe a fonte: --dir=diretório ou --git[=arquivo]');
+
+  const gitFile = args.flags.git === true ? feed.file : args.flags.git;
+  const source = args.flags.dir ? `dir:${path.resolve(args.flags.dir)}` : `git:${gitFile}`;
+  const since = optionalDate('since');
+  const until = optionalDate('until');
+  const limit = args.flags.limit !== undefined ? Number(args.flags.limit) : Infinity;
+  if (!(limit > 0)) fail(`--limit inválido: ${args.flags.limit}`);
+
+  const all = (args.flags.dir ? dirSnapshots(args.flags.dir) : gitSnapshots(gitFile))
+    .filter(s => (since === null || Date.parse(s.at) >= since) && (until === null || Date.parse(s.at) <= until))
+    .sort((a, b) => a.at.localeCompare(b.at));  // stable: commits with the same date keep git order
+  const checkpoint = loadCheckpoint(source);
+  const pending = all.filter(s => !checkpoint.done[s.id]);
+  const batch = pending.slice(0, limit);
+
+  console.log(`→ Replay ${FEED_KEY} (${source}): ${all.length} snapshots, ${all.length - pending.length} já processados, ${batch.length} nesta execução`);
+  if (isTruthy(args.flags.list)) {
+    for (const s of all) console.log(`  ${checkpoint.done[s.id] ? '✓' : '·'} ${s.at}  ${s.label}`);
+    return;
+  }
+  if (!batch.length) return;
+  if (DRY_RUN) console.log('  --dry-run: cada snapshot gera só o plano; o checkpoint não é gravado.');
+
+  const forwarded = Object.entries(args.flags)
+    .filter(([name]) => !REPLAY_FLAGS.includes(name))
+    .map(([name, v]) => (v === true ? `--${name}` : `--${name}=${v}`));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  let processed = 0;
+  try {
+    for (const [i, snap] of batch.entries()) {
+      console.log(`\n===== Snapshot ${i + 1}/${batch.length}: ${snap.label} (${snap.at}) =====`);
+      const error = await replaySnapshot(snap, path.join(tmpDir, `${feed.name}-${snap.at.replace(/[:.]/g, '-')}.json`), forwarded);
+      if (error) {
+        console.error(`✖ ${error}; replay interrompido. Rodar de novo continua deste snapshot.`);
+        process.exitCode = 1;
+        break;
+      }
+      processed++;
+      if (DRY_RUN) continue;
+      checkpoint.done[snap.id] = { at: snap.at, concluido_em: new Date().toISOString() };
+      saveCheckpoint(checkpoint);
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  if (process.exitCode) return;
+
+  const left = pending.length - processed;
+  console.log(`\n→ Replay concluído: ${processed} snapshots processados${left ? `, ${left} restantes (rode de novo para continuar)` : ''}.`);
+}
+
+main().catch(e => {
+  console.error("Fatal error", e);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+/* scripts/resolve_identities.js
+   Resolução de identidade de clientes (scripts/lib/identity.js).
+   Rodar depois dos dois syncs: liga carrinhos a import_clientes (id_clientes, e-mail,
+   telefone), junta clientes duplicados num mesmo cliente canônico (clientes_canonicos),
+   grava cliente_canonico_id nas duas tabelas e carrinhos.cliente_codigo, e preenche os
+   placeholders AUTO-CREATED quando já há dados reais do cliente.
+
+   Uso: node scripts/resolve_identities.js [--max-shared=5] [--dry-run] [--plan-file=...]
+*/
+
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { createStorageOrExit } = require('./lib/storage');
+const { selectAllPages } = require('./lib/paging');
+const { createPlan, planAdd, printPlanSummary, writePlanFile } = require('./lib/plan');
+const { stableStringify } = require('./lib/hash');
+const { resolveIdentities, PLACEHOLDER_NOME } = require('./lib/identity');
+
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const supabase = createStorageOrExit(config);
+// e-mail/telefone presente em mais clientes que isso não liga ninguém (telefone da loja etc.)
+const MAX_SHARED = config.identity.maxShared;
+const DRY_RUN = config.sync.dryRun;
+const PLAN_FILE = args.flags['plan-file'] || 'sync-plan-identidades.json';
+const WRITE_BATCH = 1000;
+const SAMPLE_SIZE = 5;
+
+/* ---------------- helpers ---------------- */
+
+// without atualizado_em, so a row that did not change is not rewritten
+function canonicoSignature(row) {
+  const { atualizado_em, ...rest } = row;
+  return stableStringify({ ...rest, emails: rest.emails || [], telefones: rest.telefones || [] });
+}
+
+// returns the number of rows that failed
+async function upsertCanonicos(rows) {
+  let failed = 0;
+  for (let i = 0; i < rows.length; i += WRITE_BATCH) {
+    const chunk = rows.slice(i, i + WRITE_BATCH);
+    const { error } = await supabase.from('clientes_canonicos').upsert(chunk, { onConflict: 'id' });
+    if (error) {
+      console.error(`Erro gravando clientes_canonicos (offset ${i}):`, error);
+      failed += chunk.length;
+    }
+  }
+  return failed;
+}
+
+// bulk update through sql/008 aplicar_cliente_canonico (partial upserts would hit NOT NULL columns)
+async function applyMembers(clientes, carrinhos) {
+  let failed = 0;
+  for (let i = 0; i < Math.max(clientes.length, carrinhos.length); i += WRITE_BATCH) {
+    const p_clientes = clientes.slice(i, i + WRITE_BATCH);
+    const p_carrinhos = carrinhos.slice(i, i + WRITE_BATCH);
+    const { error } = await supabase.rpc('aplicar_cliente_canonico', { p_clientes, p_carrinhos });
+    if (error) {
+      console.error(`Erro aplicando cliente_canonico_id (offset ${i}):`, error);
+      failed += p_clientes.length + p_carrinhos.length;
+    }
+  }
+  return failed;
+}
+
+async function fillPlaceholders(fills) {
+  let failed = 0;
+  for (const { codigo, ...patch } of fills) {
+    // only while it is still a placeholder: the general sync may have written the real row meanwhile
+    const { error } = await supabase.from('import_clientes').update(patch).eq('codigo', codigo).eq('nome', PLACEHOLDER_NOME);
+    if (error) {
+      console.error(`Erro preenchendo placeholder ${codigo}:`, error);
+      failed++;
+    }
+  }
+  return failed;
+}
+
+/* ------------------ main ------------------ */
+async function main() {
+  console.log(`→ Resolução de identidade (máx. ${MAX_SHARED} clientes por e-mail/telefone)`);
+  const plan = DRY_RUN ? createPlan('identidades', 'import_clientes x carrinhos') : null;
+
+  const clientes = await selectAllPages(supabase, 'import_clientes', 'codigo,nome,email,whatsapp,cidade,estado,cliente_canonico_id');
+  const carrinhos = await selectAllPages(supabase, 'carrinhos', 'carrinho_id,id_clientes,nome,email,celular,last_seen,cliente_canonico_id,cliente_codigo');
+  const existing = new Map((await selectAllPages(supabase, 'clientes_canonicos', 'id,codigo_principal,emails,telefones,total_clientes,total_carrinhos,mesclado_em'))
+    .map(r => [r.id, canonicoSignature(r)]));
+  console.log(`→ Lidos: ${clientes.length} clientes, ${carrinhos.length} carrinhos, ${existing.size} clientes canônicos`);
+
+  const result = resolveIdentities(clientes, carrinhos, { maxShared: MAX_SHARED });
+  const canonicos = result.canonicos.filter(r => existing.get(r.id) !== canonicoSignature(r));
+  const merged = result.merged.filter(m => existing.has(m.id));
+  const multi = result.canonicos.filter(r => r.total_clientes > 1).length;
+  const linked = result.canonicos.reduce((n, r) => n + (r.codigo_principal ? r.total_carrinhos : 0), 0);
+
+  console.log(`→ Clientes canônicos: ${result.canonicos.length} (${multi} com mais de um cadastro em import_clientes)`);
+  console.log(`→ Carrinhos ligados a um cliente: ${linked}/${carrinhos.length}`);
+  console.log(`→ Alterações: canônicos ${canonicos.length}, mesclados ${merged.length}, clientes ${result.clienteUpdates.length}, carrinhos ${result.carrinhoUpdates.length}, placeholders preenchidos ${result.placeholderFills.length}`);
+  if (result.ambiguous.length) {
+    console.log(`→ E-mails/telefones ignorados por serem compartilhados: ${result.ambiguous.length}`);
+    for (const a of result.ambiguous.slice(0, SAMPLE_SIZE)) console.log(`    - ${a.tipo} ${a.valor} (${a.clientes} clientes)`);
+  }
+
+  if (plan) {
+    planAdd(plan, 'clientes_canonicos', 'upsert', canonicos);
+    planAdd(plan, 'clientes_canonicos', 'merge', merged);
+    planAdd(plan, 'import_clientes', 'set_canonico', result.clienteUpdates);
+    planAdd(plan, 'import_clientes', 'fill_placeholder', result.placeholderFills);
+    planAdd(plan, 'carrinhos', 'set_canonico', result.carrinhoUpdates);
+    printPlanSummary(plan);
+    writePlanFile(plan, PLAN_FILE);
+    return;
+  }
+
+  // canonical rows first: both tables reference clientes_canonicos(id)
+  let failed = await upsertCanonicos(canonicos);
+  if (failed) {
+    console.error(`Resolução interrompida: ${failed} clientes canônicos não gravados.`);
+    process.exit(1);
+  }
+  failed += await applyMembers(result.clienteUpdates, result.carrinhoUpdates);
+  failed += await upsertCanonicos(merged);
+  failed += await fillPlaceholders(result.placeholderFills);
+
+  if (failed) {
+    console.error(`Resolução de identidade terminou com ${failed} falhas.`);
+    process.exit(1);
+  }
+  console.log("Resolução de identidade concluída.");
+}
+
+main().catch(e => {
+  console.error("Fatal error", e);
+  process.exit(1);
+});
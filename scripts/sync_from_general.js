@@ -2,131 +2,110 @@
    Versão corrigida: remove _compKey em todos os inserts (bulk + fallback por linha).
    Mantém dedupe por composite key cliente|produto|coalesce(id_pedido,0),
    agrega quantidades em-chunk, fallback robusto.
+   Em modo 'delta' usa o import_sync_ledger (sql/001) para que re-execuções do mesmo feed não inflem quantidades.
+   O feed é lido em stream (stream-json), cliente a cliente, e gravado em lotes de FLUSH_CLIENTS.
+   Memória: além do lote, guarda os códigos de cliente do feed e, só para as tabelas de
+   general.reconcile, as chaves de pedidos/produtos/itens; o total por chave do ledger na
+   execução fica no banco (run_id/quantidade_run, sql/018).
+   Cada execução gera um relatório (lib/run_report.js) em sync_runs e em --report-file;
+   acima de --max-failure-ratio (SYNC_MAX_FAILURE_RATIO) o script sai com código 1.
+   Ajustes (modo de quantidade, lotes, pausa, reconciliação…) vêm de lib/config.js.
+   Linhas que saem do feed não são apagadas: recebem deleted_at (sql/015) e só são
+   removidas depois de general.purgeAfterDays dias.
+   Todas as chamadas ao Supabase passam pelo pool de lib/write_pool.js (concorrência
+   limitada, throttling adaptativo e retries); a vazão vai para o log e para o relatório.
+   Clientes, pedidos e produtos_comprados fora do esquema (lib/schemas.js) não são
+   gravados: vão para sync_quarentena e --quarantine-file; acima de
+   --max-quarantine-ratio a execução falha e não reconcilia.
+   Cada produto comprado também vira um item de pedido (import_pedidos_itens, sql/017),
+   ligado ao pedido quando o id_pedido resolve; os que não resolvem são reportados.
+   Grava no Supabase ou, com --storage=sqlite|postgres, num banco local (lib/storage.js).
+
+   Uso: node scripts/sync_from_general.js general.json [--config=sync.config.json] [--dry-run] [--full] …
+        (ou node scripts/cli.js sync general)
 */
 
 const fs = require('fs');
-const { createClient } = require('@supabase/supabase-js');
-
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-  console.error("Missing Supabase credentials (SUPABASE_URL / SUPABASE_KEY)");
-  process.exit(1);
-}
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } });
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit, printConfig } = require('./lib/config');
+const { createStorageOrExit } = require('./lib/storage');
+const { createPlan, planAdd, printPlanSummary, writePlanFile } = require('./lib/plan');
+const { checkDeleteGuard, recordFeedCount } = require('./lib/delete_guard');
+const { contentHash } = require('./lib/hash');
+const { isLikelyZeroDate, sanitizeDateValue, parseAsOf } = require('./lib/dates');
+const { countContact, formatContactCounts } = require('./lib/contacts');
+const { syntheticClientKey, createKeyReport, reportAdd, printKeyReportSummary, writeKeyReport } = require('./lib/synthetic_keys');
+const { createWritePool, formatPoolSummary } = require('./lib/write_pool');
+const { createRunReport, describeFeed, runCount, runError, runDetail, runPhase, finishRunReport, printRunReport, saveRunReport } = require('./lib/run_report');
+const { CLIENTE, PEDIDO, PRODUTO_COMPRADO, validateRecord } = require('./lib/schemas');
+const { createQuarantine, quarantineAdd, quarantineTotal, printQuarantineSummary, saveQuarantine } = require('./lib/quarantine');
+const { normalizeCodigo, buildClienteRow, buildPedidoRows, buildProdutoRows, buildItemRow, buildItemRows, resolveClienteCodigo, streamClientNodes } = require('./lib/general_rows');
+const { syncCatalog, formatCatalogStats } = require('./lib/catalog');
 
-/* ====== CONFIG ====== */
-const QUANTITY_MODE = 'delta'; // 'delta' (soma) ou 'absolute' (substitui)
-const CHUNK_SIZE = 60;        // ajuste: para 93k recomendo 60
-const PAUSE_MS = 600;          // ajuste: para 93k recomendo 600
-const DO_DELETE_ORPHANS = { import_clientes: false, import_pedidos: false, import_clientes_produtos: false };
+/* ====== CONFIG (lib/config.js: padrão < sync.config.json < env < flags) ====== */
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const supabase = createStorageOrExit(config);
+const QUANTITY_MODE = config.general.quantityMode; // 'delta' (soma) ou 'absolute' (substitui)
+const CHUNK_SIZE = config.general.chunkSize;        // para 93k recomendo 60
+const PAUSE_MS = config.general.pauseMs;            // pausa inicial entre requisições; o pool ajusta conforme a resposta
+const RECONCILE = new Set(config.general.reconcile);     // tabelas reconciliadas com soft delete (sql/015)
+const PURGE_AFTER_DAYS = config.general.purgeAfterDays; // carência antes de remover de vez (0 = nunca)
+const FLUSH_CLIENTS = config.general.flushClients;  // clientes lidos do stream por lote de escrita
+const CLIENTES_BATCH = config.general.clientesBatch;
+const PEDIDOS_BATCH = config.general.pedidosBatch;
 /* ===================== */
 
-const COLUMNS_CLIENTES = [
-  'cliente_codigo','codigo','nome','email','data_cadastro',
-  'whatsapp','cidade','estado','loja_drop','representante',
-  'total_pedidos','valor_total_comprado','criado_em'
-];
-
-const COLUMNS_PEDIDOS = [
-  'id','codigo_pedido','cliente_codigo','situacao_pedido',
-  'data_hora_pedido','data_hora_confirmacao',
-  'valor_total_produtos','valor_frete','frete','valor_total_pedido',
-  'desconto','cidade','estado','percentual_comissao',
-  'origem_pedido','tipo_compra','texto_tipo_compra',
-  'pedidos_loja_drop','criado_em'
-];
-
-const COLUMNS_PRODUTOS = [
-  'id','cliente_codigo','produto_codigo','titulo','categoria_principal',
-  'categoria','marca','quantidade','criado_em','id_pedido',
-  'subcategoria','tamanho','cor','sku','data_pedido'
-];
+// every Supabase call goes through the pool: bounded concurrency, adaptive pause, retries
+const pool = createWritePool({
+  concurrency: config.write.concurrency,
+  retries: config.write.retries,
+  timeoutMs: config.write.timeoutMs,
+  maxDelayMs: config.write.maxDelayMs,
+  initialDelayMs: PAUSE_MS
+});
 
-/* ---------------- helpers ---------------- */
+// --dry-run (ou DRY_RUN=1): lê o estado atual mas não grava nada; gera o plano
+const DRY_RUN = config.sync.dryRun;
+const PLAN_FILE = args.flags['plan-file'] || 'sync-plan-gerais.json';
+let plan = null;
 
-function pickFields(obj, allowed) {
-  const res = {};
-  for (const k of Object.keys(obj || {})) if (allowed.includes(k)) res[k] = obj[k];
-  return res;
-}
+// guard contra deleção em massa (feed vazio/truncado); --force-delete libera
+const FORCE_DELETE = config.sync.forceDelete;
+const MAX_SHRINK_PCT = config.sync.maxShrinkPct;
+let deleteBlocked = false;
 
-function findArrayByHeuristics(json, candidateNames = []) {
-  for (const name of candidateNames) if (Array.isArray(json[name])) return json[name];
-  for (const k of Object.keys(json)) if (Array.isArray(json[k])) return json[k];
-  if (Array.isArray(json)) return json;
-  return [];
-}
+// --full (ou SYNC_FULL=1): ignora os hashes gravados e reenvia todos os clientes
+const FULL_SYNC = config.general.full;
+// bump when row building changes, so every client is re-sent once
+const HASH_VERSION = 4;
 
-function parseDateString(val) {
-  if (!val || typeof val !== "string") return null;
-  const s = val.trim();
-  const m = s.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:\s+(\d{2}:\d{2}(?::\d{2})?))?$/);
-  if (!m) return null;
-  const day = m[1], month = m[2], year = m[3];
-  let time = m[4] || "00:00:00";
-  if (/^\d{2}:\d{2}$/.test(time)) time += ":00";
-  return `${year}-${month}-${day}T${time}Z`;
-}
+// registros sem código recebem chave sintética determinística; relatório em --synthetic-report
+const KEY_REPORT_FILE = args.flags['synthetic-report'] || 'synthetic-keys-gerais.json';
+let keyReport = null;
 
-function isLikelyZeroDate(s) {
-  if (!s || typeof s !== 'string') return false;
-  if (/0000-00-00/.test(s)) return true;
-  if (/^0{4}-0{2}-0{2}/.test(s)) return true;
-  if (/^0000[\/\-]/.test(s)) return true;
-  if (/^0{8}$/.test(s.replace(/[^0-9]/g, ''))) return true;
-  return false;
-}
+// relatório estruturado da execução (sync_runs + JSON); sai com 1 acima da taxa de falhas
+const REPORT_FILE = args.flags['report-file'] || 'sync-run-gerais.json';
+const MAX_FAILURE_RATIO = config.sync.maxFailureRatio;
+let runReport = null;
 
-function sanitizeDateValue(v) {
-  if (v === null || v === undefined) return null;
-  if (v instanceof Date) {
-    if (isNaN(v.getTime())) return null;
-    return v.toISOString();
-  }
-  if (typeof v !== "string") return null;
-  const s = v.trim();
-  if (s === '') return null;
-  if (isLikelyZeroDate(s) || s.startsWith('0000')) return null;
-  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(s)) {
-    if (/^0000-/.test(s)) return null;
-    const ts = Date.parse(s);
-    return isNaN(ts) ? null : s;
-  }
-  if (/^\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}$/.test(s)) {
-    const s2 = s.replace(' ', 'T') + 'Z';
-    if (/^0000-/.test(s2)) return null;
-    const ts = Date.parse(s2);
-    return isNaN(ts) ? null : s2;
-  }
-  const p = parseDateString(s);
-  if (p) return p;
-  return null;
-}
+// registros fora do esquema ficam de fora: sync_quarentena + --quarantine-file
+const QUARANTINE_FILE = args.flags['quarantine-file'] || 'quarantine-gerais.json';
+const MAX_QUARANTINE_RATIO = config.sync.maxQuarantineRatio;
+let quarantine = null;
 
-function normalizeCodigo(val) {
-  if (val === null || val === undefined) return null;
-  let s = String(val).trim();
-  if (s === '') return null;
-  s = s.replace(/[^\w\-\._]/g, '');
-  return s;
-}
+// --as-of: horário do snapshot no replay (scripts/replay_snapshots.js); deleted_at e o corte
+// do purge contam a partir dele em vez de agora
+const AS_OF = parseAsOf(args.flags['as-of']);
 
-function toNumberOrNull(v) {
-  if (v === null || v === undefined) return null;
-  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
-  const s = String(v).replace(/[^\d\-.,]/g, '').trim();
-  if (s === '') return null;
-  const s2 = s.replace(/\./g, '').replace(/,/g, '.');
-  const n = parseFloat(s2);
-  return Number.isNaN(n) ? null : n;
-}
+/* ---------------- helpers ---------------- */
 
 /* ---------------- DB helpers ---------------- */
 
-async function upsertClientesInBatches(rows, batch = 300) {
+// returns the number of rows that failed to be written
+async function upsertClientesInBatches(rows, batch = CLIENTES_BATCH) {
+  let failed = 0;
+  const writes = []; // chunks go out in parallel through the write pool
   for (let i = 0; i < rows.length; i += batch) {
     const chunk = rows.slice(i, i + batch).map(r => {
       const copy = { ...r };
@@ -137,13 +116,30 @@ async function upsertClientesInBatches(rows, batch = 300) {
       if ((!copy.cliente_codigo || copy.cliente_codigo === '') && copy.codigo) copy.cliente_codigo = copy.codigo;
       return copy;
     });
-    const { error } = await supabase.from('import_clientes').upsert(chunk, { onConflict: 'codigo' });
-    if (error) console.error('Erro upserting import_clientes chunk:', error);
-    else console.log(`Upsert clientes chunk ${i}/${rows.length}`);
+    if (plan) {
+      planAdd(plan, 'import_clientes', 'upsert', chunk.map(c => ({ codigo: c.codigo, nome: c.nome ?? null })));
+      continue;
+    }
+    writes.push(pool.run(signal => supabase.from('import_clientes').upsert(chunk, { onConflict: 'codigo' }).abortSignal(signal), { rows: chunk.length }).then(({ error }) => {
+      if (error) {
+        console.error('Erro upserting import_clientes chunk:', error);
+        runCount(runReport, 'import_clientes', 'failed', chunk.length);
+        runError(runReport, 'import_clientes', error, { offset: i, codigos: chunk.slice(0, 5).map(c => c.codigo) });
+        failed += chunk.length;
+      } else {
+        runCount(runReport, 'import_clientes', 'upserted', chunk.length);
+        console.log(`Upsert clientes chunk ${i}/${rows.length}`);
+      }
+    }));
   }
+  await Promise.all(writes);
+  return failed;
 }
 
-async function upsertPedidosInBatches(rows, batch = 200) {
+// returns the number of rows that failed to be written
+async function upsertPedidosInBatches(rows, batch = PEDIDOS_BATCH) {
+  let failed = 0;
+  const writes = []; // chunks go out in parallel through the write pool
   for (let i = 0; i < rows.length; i += batch) {
     const chunk = rows.slice(i, i + batch).map(r => {
       const copy = { ...r };
@@ -153,15 +149,29 @@ async function upsertPedidosInBatches(rows, batch = 200) {
       }
       return copy;
     });
-    const { error } = await supabase.from('import_pedidos').upsert(chunk, { onConflict: 'codigo_pedido' });
-    if (error) {
-      console.error('Erro upserting import_pedidos chunk:', error);
-      for (let r = 0; r < chunk.length; r++) {
-        const { error: e2 } = await supabase.from('import_pedidos').upsert([chunk[r]], { onConflict: 'codigo_pedido' });
-        if (e2) console.error('Row upsert error import_pedidos:', e2);
+    if (plan) {
+      planAdd(plan, 'import_pedidos', 'upsert', chunk.map(p => ({ codigo_pedido: p.codigo_pedido, cliente_codigo: p.cliente_codigo, situacao_pedido: p.situacao_pedido ?? null })));
+      continue;
+    }
+    writes.push(pool.run(signal => supabase.from('import_pedidos').upsert(chunk, { onConflict: 'codigo_pedido' }).abortSignal(signal), { rows: chunk.length }).then(async ({ error }) => {
+      if (!error) {
+        runCount(runReport, 'import_pedidos', 'upserted', chunk.length);
+        console.log(`Upsert pedidos chunk ${i}/${rows.length}`);
+        return;
       }
-    } else console.log(`Upsert pedidos chunk ${i}/${rows.length}`);
+      console.error('Erro upserting import_pedidos chunk:', error);
+      await Promise.all(chunk.map(row => pool.run(signal => supabase.from('import_pedidos').upsert([row], { onConflict: 'codigo_pedido' }).abortSignal(signal), { rows: 1 }).then(({ error: e2 }) => {
+        if (e2) {
+          console.error('Row upsert error import_pedidos:', e2);
+          runCount(runReport, 'import_pedidos', 'failed');
+          runError(runReport, 'import_pedidos', e2, { codigo_pedido: row.codigo_pedido });
+          failed++;
+        } else runCount(runReport, 'import_pedidos', 'upserted');
+      })));
+    }));
   }
+  await Promise.all(writes);
+  return failed;
 }
 
 /* ---------------- Core: composite key helper ---------------- */
@@ -172,8 +182,67 @@ function compositeKeyFor(row) {
   return `${cliente}|${prod}|${pedido}`;
 }
 
+/* ---------------- Sync ledger (delta mode) ----------------
+   O general.json é cumulativo: a mesma compra (cliente|produto|pedido) volta a cada execução.
+   O ledger guarda quanto de cada chave composta já foi somado em import_clientes_produtos,
+   então só a diferença entre o total do feed e o já aplicado entra como delta.
+   Reduções no feed não são descontadas (ficam registradas no log).
+   O total do feed dentro da execução (um cliente repetido em outro lote soma ao que já
+   foi visto) fica no próprio ledger, em quantidade_run / run_id (sql/018), e não em
+   memória. Em --dry-run o ledger não é gravado, então um cliente repetido entre lotes
+   só conta a última ocorrência no plano.
+*/
+
+// comp key -> { quantidade: already applied, runTotal: feed total seen earlier in this run }
+async function fetchLedger(compKeys) {
+  const ledger = new Map();
+  if (!compKeys.length) return ledger;
+  try {
+    const { data, error } = await pool.run(signal => supabase
+      .from('import_sync_ledger')
+      .select('comp_key,quantidade,run_id,quantidade_run')
+      .in('comp_key', compKeys)
+      .abortSignal(signal));
+    if (error) {
+      console.error('Erro lendo import_sync_ledger:', error);
+      runError(runReport, 'import_sync_ledger', error, { acao: 'select' });
+      return null;
+    }
+    for (const row of data || []) {
+      ledger.set(row.comp_key, {
+        quantidade: Number(row.quantidade) || 0,
+        runTotal: row.run_id === runReport.id ? Number(row.quantidade_run) || 0 : 0
+      });
+    }
+  } catch (e) {
+    console.error('Exception lendo import_sync_ledger:', e);
+    runError(runReport, 'import_sync_ledger', e, { acao: 'select' });
+    return null;
+  }
+  return ledger;
+}
+
+// updates: Map comp key -> { quantidade, quantidade_run }
+async function saveLedger(updates) {
+  const now = new Date().toISOString();
+  const entries = Array.from(updates, ([comp_key, u]) => ({ comp_key, quantidade: u.quantidade, run_id: runReport.id, quantidade_run: u.quantidade_run, atualizado_em: now }));
+  if (!entries.length) return;
+  if (plan) {
+    planAdd(plan, 'import_sync_ledger', 'upsert', entries);
+    return;
+  }
+  const { error } = await pool.run(signal => supabase.from('import_sync_ledger').upsert(entries, { onConflict: 'comp_key' }).abortSignal(signal), { rows: entries.length });
+  if (error) {
+    console.error('Erro gravando import_sync_ledger:', error);
+    runCount(runReport, 'import_sync_ledger', 'failed', entries.length);
+    runError(runReport, 'import_sync_ledger', error);
+  } else runCount(runReport, 'import_sync_ledger', 'upserted', entries.length);
+}
+
 /* ---------------- Core: sync products with composite key (corrected with fallback clean) ---------------- */
+// returns the number of composite keys that could not be written
 async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
+  let failed = 0;
   for (let i = 0; i < produtosRows.length; i += batch) {
     const chunk = produtosRows.slice(i, i + batch);
 
@@ -206,21 +275,37 @@ async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
     let existingRows = [];
     if (produtoKeys.length) {
       try {
-        const { data: existing, error: selErr } = await supabase
+        const { data: existing, error: selErr } = await pool.run(signal => supabase
           .from('import_clientes_produtos')
           .select('id,cliente_codigo,produto_codigo,quantidade,id_pedido')
           .in('produto_codigo', produtoKeys)
-          .limit(20000);
+          .limit(20000)
+          .abortSignal(signal));
         if (selErr) {
           console.error('Erro buscando produtos existentes (composite):', selErr);
+          runError(runReport, 'import_clientes_produtos', selErr, { acao: 'select', offset: i });
         } else {
           existingRows = existing || [];
         }
       } catch (e) {
         console.error('Exception fetching existing products (composite):', e);
+        runError(runReport, 'import_clientes_produtos', e, { acao: 'select', offset: i });
       }
     }
 
+    // delta mode: what each composite key already contributed in earlier runs
+    let ledger = null;
+    if (QUANTITY_MODE === 'delta') {
+      ledger = await fetchLedger(Array.from(incomingMap.keys()));
+      if (!ledger) {
+        console.error(`Ledger indisponível — chunk offset ${i} ignorado para não duplicar quantidades.`);
+        runCount(runReport, 'import_clientes_produtos', 'failed', incomingMap.size);
+        failed += incomingMap.size;
+        continue;
+      }
+    }
+    const ledgerUpdates = new Map();
+
     // build existingMap by composite key, prefer row with largest id (most recent)
     const existingMap = new Map();
     for (const e of existingRows) {
@@ -244,20 +329,39 @@ async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
         continue;
       }
 
+      const existingQty = existing ? ((existing.quantidade === null || existing.quantidade === undefined) ? 0 : Number(existing.quantidade) || 0) : 0;
+
+      // delta mode: only the part of the feed total not yet applied counts
+      let delta = incomingQty;
+      if (ledger && incomingQty !== null) {
+        const entry = ledger.get(comp);
+        const feedTotal = (entry ? entry.runTotal : 0) + incomingQty;
+        // keys without ledger entry: an existing row is assumed to already reflect the feed
+        const applied = entry ? entry.quantidade : existingQty;
+        delta = Math.max(0, feedTotal - applied);
+        if (feedTotal < applied) console.log(`Ledger: ${comp} caiu no feed (${applied} → ${feedTotal}); redução ignorada.`);
+        // always saved, so a later node of the same client in this run adds to feedTotal
+        ledgerUpdates.set(comp, { quantidade: Math.max(applied, feedTotal), quantidade_run: feedTotal });
+      }
+
       if (!existing) {
-        inserts.push(incoming);
+        if (ledger && incomingQty !== null && delta === 0) {
+          runCount(runReport, 'import_clientes_produtos', 'skipped');
+          continue;
+        }
+        inserts.push(ledger && incomingQty !== null ? { ...incoming, quantidade: delta } : incoming);
       } else {
-        const existingQty = (existing.quantidade === null || existing.quantidade === undefined) ? 0 : Number(existing.quantidade) || 0;
         let newQty = existingQty;
         if (incomingQty === null) {
+          runCount(runReport, 'import_clientes_produtos', 'skipped');
           continue;
         } else {
-          if (QUANTITY_MODE === 'delta') newQty = existingQty + incomingQty;
+          if (QUANTITY_MODE === 'delta') newQty = existingQty + delta;
           else newQty = incomingQty;
         }
         if (Number(newQty) !== Number(existingQty)) {
-          updates.push({ id: existing.id, quantidade: newQty });
-        }
+          updates.push({ id: existing.id, quantidade: newQty, quantidade_anterior: existingQty, _compKey: comp });
+        } else runCount(runReport, 'import_clientes_produtos', 'skipped');
       }
     }
 
@@ -268,12 +372,24 @@ async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
       return copy;
     });
 
+    if (plan) {
+      planAdd(plan, 'import_clientes_produtos', 'insert', cleanInserts);
+      planAdd(plan, 'import_clientes_produtos', 'update_quantidade', updates.map(u => ({ id: u.id, chave: u._compKey, de: u.quantidade_anterior, para: u.quantidade })));
+      await saveLedger(ledgerUpdates);
+      continue;
+    }
+
+    // comp keys whose write failed must not be recorded in the ledger
+    const failedComps = new Set();
+
     // try bulk insert
     if (cleanInserts.length) {
       try {
-        const { error: insErr } = await supabase.from('import_clientes_produtos').insert(cleanInserts, { returning: false });
+        // a timed-out insert may have been applied: only 429s are retried here
+        const { error: insErr } = await pool.run(signal => supabase.from('import_clientes_produtos').insert(cleanInserts, { returning: false }).abortSignal(signal), { rows: cleanInserts.length, idempotent: false });
         if (insErr) {
           console.error(`Insert chunk error (composite) offset ${i}:`, insErr);
+          runError(runReport, 'import_clientes_produtos', insErr, { acao: 'insert', offset: i });
           // fallback per row: try to find the exact composite and update; if not exists try insert
           for (let r = 0; r < cleanInserts.length; r++) {
             let row = { ...cleanInserts[r] };
@@ -284,11 +400,11 @@ async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
               // Try find exact match (id_pedido match)
               let found = null;
               try {
-                const { data: f1 } = await supabase.from('import_clientes_produtos').select('id,quantidade').match({
+                const { data: f1 } = await pool.run(signal => supabase.from('import_clientes_produtos').select('id,quantidade').match({
                   cliente_codigo: row.cliente_codigo,
                   produto_codigo: row.produto_codigo,
                   id_pedido: row.id_pedido === undefined || row.id_pedido === null ? null : row.id_pedido
-                }).limit(1);
+                }).limit(1).abortSignal(signal));
                 if (f1 && f1.length) found = f1[0];
               } catch (e) {
                 // ignore
@@ -297,10 +413,10 @@ async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
               // If not found, attempt match without id_pedido (best-effort)
               if (!found) {
                 try {
-                  const { data: f2 } = await supabase.from('import_clientes_produtos').select('id,quantidade,id_pedido').match({
+                  const { data: f2 } = await pool.run(signal => supabase.from('import_clientes_produtos').select('id,quantidade,id_pedido').match({
                     cliente_codigo: row.cliente_codigo,
                     produto_codigo: row.produto_codigo
-                  }).limit(1);
+                  }).limit(1).abortSignal(signal));
                   if (f2 && f2.length) found = f2[0];
                 } catch (e) {
                   // ignore
@@ -311,225 +427,756 @@ async function syncProductsQuantityComposite(produtosRows, batch = CHUNK_SIZE) {
                 const existingQty = Number(found.quantidade || 0);
                 const incQty = Number(row.quantidade || 0);
                 const computed = (QUANTITY_MODE === 'delta') ? existingQty + incQty : incQty;
-                const { error: upErr } = await supabase.from('import_clientes_produtos').update({ quantidade: computed }).eq('id', found.id);
-                if (upErr) console.error(`Fallback update after insert-conflict id=${found.id}:`, upErr);
-                else console.log(`Fallback updated produto id=${found.id} after insert conflict`);
+                const { error: upErr } = await pool.run(signal => supabase.from('import_clientes_produtos').update({ quantidade: computed }).eq('id', found.id).abortSignal(signal), { rows: 1 });
+                if (upErr) {
+                  console.error(`Fallback update after insert-conflict id=${found.id}:`, upErr);
+                  runError(runReport, 'import_clientes_produtos', upErr, { acao: 'update', id: found.id });
+                  failedComps.add(inserts[r]._compKey);
+                } else {
+                  runCount(runReport, 'import_clientes_produtos', 'updated');
+                  console.log(`Fallback updated produto id=${found.id} after insert conflict`);
+                }
               } else {
                 // final fallback: try single insert (WITHOUT _compKey)
                 if (row._compKey !== undefined) delete row._compKey;
-                const { error: ins2 } = await supabase.from('import_clientes_produtos').insert([row], { returning: false });
-                if (ins2) console.error('Row insert fallback error (after conflict):', ins2);
-                else console.log('Row inserted after conflict fallback (single)');
+                const { error: ins2 } = await pool.run(signal => supabase.from('import_clientes_produtos').insert([row], { returning: false }).abortSignal(signal), { rows: 1, idempotent: false });
+                if (ins2) {
+                  console.error('Row insert fallback error (after conflict):', ins2);
+                  runError(runReport, 'import_clientes_produtos', ins2, { acao: 'insert', chave: inserts[r]._compKey });
+                  failedComps.add(inserts[r]._compKey);
+                } else {
+                  runCount(runReport, 'import_clientes_produtos', 'inserted');
+                  console.log('Row inserted after conflict fallback (single)');
+                }
               }
             } catch (e) {
               console.error('Exception in per-row insert fallback (composite):', e);
+              runError(runReport, 'import_clientes_produtos', e, { acao: 'insert', chave: inserts[r]._compKey });
+              failedComps.add(inserts[r]._compKey);
             }
           }
         } else {
+          runCount(runReport, 'import_clientes_produtos', 'inserted', cleanInserts.length);
           console.log(`Inserted ${cleanInserts.length} new produtos (offset ${i}) [composite]`);
         }
       } catch (e) {
         console.error('Exception inserting produtos chunk (composite):', e);
+        runError(runReport, 'import_clientes_produtos', e, { acao: 'insert', offset: i });
+        for (const ins of inserts) failedComps.add(ins._compKey);
       }
     }
 
-    // perform updates
+    // perform updates (one row each, in parallel through the write pool; absolute values, safe to retry)
     if (updates.length) {
-      for (let u = 0; u < updates.length; u++) {
-        const upd = updates[u];
-        try {
-          const { error: upErr } = await supabase.from('import_clientes_produtos').update({ quantidade: upd.quantidade }).eq('id', upd.id);
-          if (upErr) console.error(`Error updating produto id=${upd.id} quantidade=${upd.quantidade}:`, upErr);
-        } catch (e) {
-          console.error(`Exception updating produto id=${upd.id}:`, e);
+      await Promise.all(updates.map(upd => pool.run(signal => supabase.from('import_clientes_produtos').update({ quantidade: upd.quantidade }).eq('id', upd.id).abortSignal(signal), { rows: 1 }).then(({ error: upErr }) => {
+        if (upErr) {
+          console.error(`Error updating produto id=${upd.id} quantidade=${upd.quantidade}:`, upErr);
+          runError(runReport, 'import_clientes_produtos', upErr, { acao: 'update', id: upd.id });
+          failedComps.add(upd._compKey);
+        } else runCount(runReport, 'import_clientes_produtos', 'updated');
+      })));
+      console.log(`Updated ${updates.length} produtos (offset ${i}) [composite]`);
+    }
+
+    for (const comp of failedComps) ledgerUpdates.delete(comp);
+    await saveLedger(ledgerUpdates);
+    runCount(runReport, 'import_clientes_produtos', 'failed', failedComps.size);
+    failed += failedComps.size;
+  }
+  return failed;
+}
+
+/* ---------------- order lines (import_pedidos_itens, sql/017) ----------------
+   Each produtos_comprados entry is a line with the quantity the feed sends (upsert by
+   chave, no ledger). Lines whose id_pedido matches a pedido of the same client node are
+   linked while streaming; linkPendingItems then looks the others up in import_pedidos
+   (codigo_pedido, then the feed's id), which also catches pedidos that arrived in a later
+   run. What still does not resolve is reported. */
+const ITEMS_BATCH = PEDIDOS_BATCH;
+const LINK_PAGE = 1000;
+const LINK_SAMPLE = 20;
+
+// returns the number of lines that could not be written
+async function upsertItensInBatches(rows, linkStats, batch = ITEMS_BATCH) {
+  let failed = 0;
+  const now = AS_OF || new Date().toISOString();
+  linkStats.enviados += rows.length;
+  for (const r of rows) {
+    if (r.codigo_pedido) linkStats.vinculados++;
+    else if (!r.id_pedido) linkStats.sem_pedido++;
+  }
+  const writes = [];
+  for (let i = 0; i < rows.length; i += batch) {
+    const chunk = rows.slice(i, i + batch).map(r => ({ ...r, atualizado_em: now }));
+    if (plan) {
+      planAdd(plan, 'import_pedidos_itens', 'upsert', chunk.map(r => ({ chave: r.chave, codigo_pedido: r.codigo_pedido, quantidade: r.quantidade })));
+      continue;
+    }
+    writes.push(pool.run(signal => supabase.from('import_pedidos_itens').upsert(chunk, { onConflict: 'chave' }).abortSignal(signal), { rows: chunk.length }).then(({ error }) => {
+      if (!error) {
+        runCount(runReport, 'import_pedidos_itens', 'upserted', chunk.length);
+        return;
+      }
+      console.error('Erro upserting import_pedidos_itens chunk:', error);
+      runCount(runReport, 'import_pedidos_itens', 'failed', chunk.length);
+      runError(runReport, 'import_pedidos_itens', error, { offset: i });
+      failed += chunk.length;
+    }));
+  }
+  await Promise.all(writes);
+  return failed;
+}
+
+// id_pedido -> codigo_pedido of an active pedido, by codigo_pedido first and then by the feed id
+async function findPedidos(ids) {
+  const found = new Map();
+  for (const column of ['codigo_pedido', 'id']) {
+    const pending = ids.filter(id => !found.has(id));
+    for (let i = 0; i < pending.length; i += LINK_PAGE) {
+      const chunk = pending.slice(i, i + LINK_PAGE);
+      const { data, error } = await pool.run(signal => supabase.from('import_pedidos').select('codigo_pedido,id').in(column, chunk).is('deleted_at', null).abortSignal(signal));
+      if (error) throw error;
+      for (const r of data || []) {
+        const id = String(r[column] ?? '').trim();
+        if (!found.has(id)) found.set(id, r.codigo_pedido);
+      }
+    }
+  }
+  return found;
+}
+
+// links lines still without pedido; returns { religados, sem_vinculo, amostra } or null on read errors
+async function linkPendingItems() {
+  const pending = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await pool.run(signal => supabase.from('import_pedidos_itens')
+      .select('chave,cliente_codigo,id_pedido,produto_codigo')
+      .is('codigo_pedido', null).not('id_pedido', 'is', null).is('deleted_at', null)
+      .order('chave').range(page * LINK_PAGE, (page + 1) * LINK_PAGE - 1)
+      .abortSignal(signal));
+    if (error) {
+      console.error('Erro lendo import_pedidos_itens sem pedido:', error);
+      runError(runReport, 'import_pedidos_itens', error, { acao: 'link' });
+      return null;
+    }
+    pending.push(...(data || []));
+    if (!data || data.length < LINK_PAGE) break;
+  }
+  if (!pending.length) return { religados: 0, sem_vinculo: 0, amostra: [] };
+
+  let found;
+  try {
+    found = await findPedidos(Array.from(new Set(pending.map(r => String(r.id_pedido).trim()))));
+  } catch (e) {
+    console.error('Erro buscando pedidos dos itens:', e);
+    runError(runReport, 'import_pedidos', e, { acao: 'link' });
+    return null;
+  }
+  const byPedido = new Map();
+  const unresolved = [];
+  for (const r of pending) {
+    const codigo = found.get(String(r.id_pedido).trim());
+    if (!codigo) unresolved.push(r);
+    else byPedido.set(codigo, [...(byPedido.get(codigo) || []), r.chave]);
+  }
+
+  let relinked = 0;
+  for (const [codigo, chaves] of byPedido) {
+    if (plan) {
+      planAdd(plan, 'import_pedidos_itens', 'link', { codigo_pedido: codigo, itens: chaves.length });
+      continue;
+    }
+    const { error } = await pool.run(signal => supabase.from('import_pedidos_itens').update({ codigo_pedido: codigo }).in('chave', chaves).abortSignal(signal), { rows: chaves.length });
+    if (error) {
+      console.error(`Erro ligando itens ao pedido ${codigo}:`, error);
+      runCount(runReport, 'import_pedidos_itens', 'failed', chaves.length);
+      runError(runReport, 'import_pedidos_itens', error, { acao: 'link', codigo_pedido: codigo });
+    } else {
+      relinked += chaves.length;
+      runCount(runReport, 'import_pedidos_itens', 'updated', chaves.length);
+    }
+  }
+  return { religados: relinked, sem_vinculo: unresolved.length, amostra: unresolved.slice(0, LINK_SAMPLE) };
+}
+
+function printLinkSummary(linkStats, linked) {
+  console.log(`→ Itens de pedido enviados: ${linkStats.enviados} (${linkStats.vinculados} ligados ao pedido no próprio cliente, ${linkStats.sem_pedido} sem id_pedido)`);
+  if (!linked) return;
+  console.log(`→ Itens ligados depois via import_pedidos: ${linked.religados}; id_pedido sem pedido: ${linked.sem_vinculo}${linked.sem_vinculo ? ' (view import_pedidos_itens_sem_vinculo)' : ''}`);
+  for (const r of linked.amostra.slice(0, 5)) console.log(`    - cliente ${r.cliente_codigo}, id_pedido ${r.id_pedido}, produto ${r.produto_codigo ?? '—'}`);
+}
+
+/* ---------------- reconciliation (soft delete, sql/015) ----------------
+   Compares each table in general.reconcile with the feed by its real identity. Rows
+   that left the feed get deleted_at, rows back in the feed get it cleared, and rows
+   marked more than PURGE_AFTER_DAYS ago are removed. Rows of a protected client
+   (quarantined, so still in the feed) are left alone, and so is a client (e.g. an
+   AUTO-CREATED placeholder from an earlier run) still referenced by an active row. */
+const RECONCILE_PAGE = 1000;
+const RECONCILE_SPECS = {
+  import_clientes: { idColumn: 'codigo', select: 'codigo,deleted_at', keyOf: r => String(r.codigo ?? '').trim(), clientOf: r => r.codigo, referencedBy: ['import_pedidos', 'import_clientes_produtos', 'import_pedidos_itens'] },
+  import_pedidos: { idColumn: 'codigo_pedido', select: 'codigo_pedido,cliente_codigo,deleted_at', keyOf: r => String(r.codigo_pedido ?? '').trim(), clientOf: r => r.cliente_codigo },
+  import_clientes_produtos: { idColumn: 'id', select: 'id,cliente_codigo,produto_codigo,id_pedido,deleted_at', keyOf: compositeKeyFor, clientOf: r => r.cliente_codigo, ledger: true },
+  import_pedidos_itens: { idColumn: 'chave', select: 'chave,cliente_codigo,deleted_at', keyOf: r => String(r.chave ?? '').trim(), clientOf: r => r.cliente_codigo }
+};
+
+// sets deleted_at = value on the given ids; returns how many were written
+async function setDeletedAt(table, idColumn, ids, value, chunk = 1000) {
+  let done = 0;
+  const writes = [];
+  for (let i = 0; i < ids.length; i += chunk) {
+    const chunkArr = ids.slice(i, i + chunk);
+    writes.push(pool.run(signal => supabase.from(table).update({ deleted_at: value }).in(idColumn, chunkArr).abortSignal(signal), { rows: chunkArr.length }).then(({ error }) => {
+      if (error) {
+        console.error(`Erro marcando deleted_at em ${table} (offset ${i}):`, error);
+        runCount(runReport, table, 'failed', chunkArr.length);
+        runError(runReport, table, error, { acao: value ? 'soft_delete' : 'restore', offset: i });
+      } else done += chunkArr.length;
+    }));
+  }
+  await Promise.all(writes);
+  return done;
+}
+
+// the given client codes that an active row of tables still points to (foreign key); null when a table could not be read
+async function referencedClients(codes, tables) {
+  const referenced = new Set();
+  for (const table of tables) {
+    for (let i = 0; i < codes.length; i += 200) {
+      const chunk = codes.slice(i, i + 200);
+      for (let page = 0; ; page++) {
+        const { data, error } = await pool.run(signal => supabase.from(table).select('cliente_codigo').in('cliente_codigo', chunk).is('deleted_at', null)
+          .order('cliente_codigo').range(page * RECONCILE_PAGE, (page + 1) * RECONCILE_PAGE - 1).abortSignal(signal));
+        if (error) {
+          console.error(`Erro lendo ${table} para reconciliar import_clientes:`, error);
+          runError(runReport, table, error, { acao: 'reconcile_referencias' });
+          return null;
         }
+        for (const r of data || []) referenced.add(String(r.cliente_codigo));
+        if (!data || data.length < RECONCILE_PAGE) break;
       }
-      console.log(`Updated ${updates.length} produtos (offset ${i}) [composite]`);
     }
+  }
+  return referenced;
+}
+
+/* keySets: the sets of keys still in the feed (read as one, not merged into a copy).
+   returns { marcados, restaurados } or null when the table is not reconciled / could not be read */
+async function reconcileTable(table, keySets, protectedClients) {
+  if (!RECONCILE.has(table)) {
+    console.log(`reconcile: ${table} fora de general.reconcile, ignorada`);
+    return null;
+  }
+  const spec = RECONCILE_SPECS[table];
+  const inFeedKeys = key => keySets.some(set => set.has(key));
+  let missing = [];
+  const back = [];
+  const stillDeleted = [];  // only collected for tables with referencedBy
+  let active = 0;
+  for (let page = 0; ; page++) {
+    const { data, error } = await pool.run(signal => supabase.from(table).select(spec.select).order(spec.idColumn).range(page * RECONCILE_PAGE, (page + 1) * RECONCILE_PAGE - 1).abortSignal(signal));
+    if (error) {
+      console.error(`Erro lendo ${table} para reconciliação:`, error);
+      runError(runReport, table, error, { acao: 'reconcile' });
+      return null;
+    }
+    for (const r of data || []) {
+      const key = spec.keyOf(r);
+      if (key === '') continue;
+      const inFeed = inFeedKeys(key) || protectedClients.has(String(spec.clientOf(r) ?? '').trim());
+      if (!r.deleted_at) {
+        active++;
+        if (!inFeed) missing.push(r[spec.idColumn]);
+      } else if (inFeed) back.push(r[spec.idColumn]);
+      else if (spec.referencedBy) stillDeleted.push(r[spec.idColumn]);
+    }
+    if (!data || data.length < RECONCILE_PAGE) break;
+  }
+  // referenced rows count as in the feed: kept when active, restored when marked by an earlier run
+  if (spec.referencedBy && (missing.length || stillDeleted.length)) {
+    const referenced = await referencedClients(missing.concat(stillDeleted).map(String), spec.referencedBy);
+    if (!referenced) return null;
+    if (referenced.size) console.log(`→ ${referenced.size} registros de ${table} fora do feed mas ainda referenciados (mantidos).`);
+    missing = missing.filter(id => !referenced.has(String(id)));
+    for (const id of stillDeleted) if (referenced.has(String(id))) back.push(id);
+  }
+
+  // restoring is always safe; marking goes through the mass-deletion guard
+  let restored = 0;
+  if (back.length) {
+    console.log(`→ ${back.length} registros de ${table} voltaram ao feed (deleted_at limpo).`);
+    if (plan) planAdd(plan, table, 'restore', back.map(id => ({ [spec.idColumn]: id })));
+    else restored = await setDeletedAt(table, spec.idColumn, back, null);
+    runCount(runReport, table, 'updated', restored);
+  }
+
+  let marked = 0;
+  if (missing.length) {
+    const feedCount = keySets.reduce((n, set) => n + set.size, 0);
+    const guard = await checkDeleteGuard(supabase, table, feedCount, active, { force: FORCE_DELETE, maxShrinkPct: MAX_SHRINK_PCT });
+    if (!guard.ok) {
+      deleteBlocked = true;
+      if (plan) planAdd(plan, table, 'soft_delete_blocked', { registros: missing.length, motivo: guard.reason });
+      return { marcados: marked, restaurados: restored };
+    }
+    console.log(`→ ${missing.length} registros de ${table} ausentes do feed (deleted_at).`);
+    if (plan) planAdd(plan, table, 'soft_delete', missing.map(id => ({ [spec.idColumn]: id })));
+    else marked = await setDeletedAt(table, spec.idColumn, missing, AS_OF || new Date().toISOString());
+    runCount(runReport, table, 'deleted', marked);
+  }
+  return { marcados: marked, restaurados: restored };
+}
 
-    // pause between chunks
-    await new Promise(res => setTimeout(res, PAUSE_MS));
+/* Before a purge: drops import_clientes_hash for the clients of the rows about to be
+   removed and, for import_clientes_produtos, their import_sync_ledger entries (else the
+   delta mode would see nothing left to add). false when it could not. */
+async function forgetPurged(table, cutoff) {
+  const spec = RECONCILE_SPECS[table];
+  const codes = new Set();
+  const compKeys = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await pool.run(signal => supabase.from(table).select(spec.select).lt('deleted_at', cutoff)
+      .order(spec.idColumn).range(page * RECONCILE_PAGE, (page + 1) * RECONCILE_PAGE - 1).abortSignal(signal));
+    if (error) {
+      console.error(`Erro lendo ${table} antes da remoção:`, error);
+      runError(runReport, table, error, { acao: 'purge', antes_de: cutoff });
+      return false;
+    }
+    for (const r of data || []) {
+      const code = String(spec.clientOf(r) ?? '').trim();
+      if (code !== '') codes.add(code);
+      if (spec.ledger) compKeys.push(spec.keyOf(r));
+    }
+    if (!data || data.length < RECONCILE_PAGE) break;
+  }
+  const list = Array.from(codes);
+  for (let i = 0; i < list.length; i += 200) {
+    const chunk = list.slice(i, i + 200);
+    const { error } = await pool.run(signal => supabase.from('import_clientes_hash').delete().in('codigo', chunk).abortSignal(signal), { rows: chunk.length });
+    if (error) {
+      console.error('Erro apagando import_clientes_hash antes da remoção:', error);
+      runError(runReport, 'import_clientes_hash', error, { acao: 'purge', tabela: table });
+      return false;
+    }
+  }
+  if (list.length) runCount(runReport, 'import_clientes_hash', 'deleted', list.length);
+  for (let i = 0; i < compKeys.length; i += 200) {
+    const chunk = compKeys.slice(i, i + 200);
+    const { error } = await pool.run(signal => supabase.from('import_sync_ledger').delete().in('comp_key', chunk).abortSignal(signal), { rows: chunk.length });
+    if (error) {
+      console.error('Erro apagando import_sync_ledger antes da remoção:', error);
+      runError(runReport, 'import_sync_ledger', error, { acao: 'purge', tabela: table });
+      return false;
+    }
   }
+  return true;
 }
 
-/* ---------------- optional deleteOrphansByKey (unchanged) ---------------- */
-async function deleteOrphansByKey(table, keyColumn, keepKeysSet, chunk = 1000) {
-  if (!DO_DELETE_ORPHANS[table]) {
-    console.log(`deleteOrphansByKey: skip for ${table} (flag disabled)`);
+// hard delete of rows soft-deleted before the grace period; returns the number removed
+async function purgeSoftDeleted(table) {
+  if (!RECONCILE.has(table) || !PURGE_AFTER_DAYS) return 0;
+  const cutoff = new Date((AS_OF ? Date.parse(AS_OF) : Date.now()) - PURGE_AFTER_DAYS * 86400000).toISOString();
+  if (plan) {
+    planAdd(plan, table, 'purge', { deleted_at_antes_de: cutoff });
+    return 0;
+  }
+  // forget what earlier runs wrote for these rows, so an unchanged node that comes back is written again
+  if (!await forgetPurged(table, cutoff)) return 0;
+  const { error, count } = await pool.run(signal => supabase.from(table).delete({ count: 'exact' }).lt('deleted_at', cutoff).abortSignal(signal));
+  if (error) {
+    // e.g. a client still referenced by an active pedido: stays marked, retried next run
+    console.error(`Erro removendo registros antigos de ${table}:`, error);
+    runError(runReport, table, error, { acao: 'purge', antes_de: cutoff });
+    return 0;
+  }
+  if (count) console.log(`→ ${count} registros de ${table} removidos (deleted_at há mais de ${PURGE_AFTER_DAYS} dias).`);
+  runCount(runReport, table, 'deleted', count || 0);
+  return count || 0;
+}
+
+/* ---------------- schema validation ---------------- */
+
+// the record's own key as the builders would read it; null when absent or not a scalar
+function scalarCodigo(...candidates) {
+  const v = candidates.find(c => c !== undefined && c !== null);
+  return typeof v === 'string' || typeof v === 'number' ? normalizeCodigo(v) : null;
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// same key the stream loop gives the client (feed codigo, else synthetic)
+function clientKeyOf(client) {
+  return scalarCodigo(client.codigo, client.cliente_codigo, client.id) || syntheticClientKey(client).key;
+}
+
+/* Splits a client node into what can be synced and what goes to quarantine.
+   Returns null when the client itself is invalid, else the node with only the valid
+   pedidos / produtos_comprados. keep collects keys of quarantined records that are
+   still in the feed, so reconciliation does not mark their rows as deleted (a
+   quarantined client's key protects its pedidos and produtos too). */
+function acceptClient(client, index, counts, keep) {
+  const pedidoCodigo = p => isObject(p) ? scalarCodigo(p.codigo_pedido, p.codigo, p.numero_pedido, p.order_id, p.id) : null;
+  const produtoCodigo = (pr, key) => (isObject(pr) ? scalarCodigo(pr.codigo, key) : scalarCodigo(key));
+
+  const reasons = validateRecord(CLIENTE, client);
+  if (reasons.length) {
+    const codigo = isObject(client) ? clientKeyOf(client) : null;
+    quarantineAdd(quarantine, 'cliente', codigo, client, reasons, { indice: index });
+    counts.clientes++;
+    if (codigo) keep.clientes.add(codigo);
+    return null;
+  }
+
+  let clienteCodigo;
+  const ownKey = () => (clienteCodigo = clienteCodigo || clientKeyOf(client));
+  const pedidos = [];
+  (client.pedidos || []).forEach((p, i) => {
+    counts.pedidosLidos++;
+    const why = validateRecord(PEDIDO, p);
+    if (!why.length) return pedidos.push(p);
+    quarantineAdd(quarantine, 'pedido', pedidoCodigo(p), p, why, { cliente_codigo: ownKey(), indice: i });
+    counts.pedidos++;
+    if (pedidoCodigo(p)) keep.pedidos.add(pedidoCodigo(p));
+  });
+
+  const produtos = {};
+  for (const [key, pr] of Object.entries(client.produtos_comprados || {})) {
+    counts.produtosLidos++;
+    const why = validateRecord(PRODUTO_COMPRADO, pr);
+    if (!why.length) {
+      produtos[key] = pr;
+      continue;
+    }
+    quarantineAdd(quarantine, 'produto_comprado', produtoCodigo(pr, key), pr, why, { cliente_codigo: ownKey(), chave: key });
+    counts.produtos++;
+    const idPedido = isObject(pr) ? pr.id_pedido ?? pr.idPedido : null;
+    keep.produtos.add(compositeKeyFor({ cliente_codigo: ownKey(), produto_codigo: produtoCodigo(pr, key), id_pedido: idPedido }));
+    keep.itens.add(buildItemRow(pr, key, ownKey()).chave);
+  }
+
+  return { ...client, pedidos, produtos_comprados: produtos };
+}
+
+/* ---------------- batch flush ---------------- */
+
+// placeholders for clients referenced by pedidos/produtos but absent from the feed so far
+async function ensurePlaceholders(rows, knownCodes, createdPlaceholders) {
+  const usedCodes = new Set();
+  for (const p of rows.pedidos) usedCodes.add(String(p.cliente_codigo ?? '').trim());
+  for (const pr of rows.produtos) usedCodes.add(String(pr.cliente_codigo ?? '').trim());
+  const missing = Array.from(usedCodes).filter(c => c !== '' && !knownCodes.has(c));
+  if (usedCodes.has('') || usedCodes.has('0')) { if (!knownCodes.has('0')) missing.push('0'); }
+  const uniqueMissing = Array.from(new Set(missing)).filter(c => !createdPlaceholders.has(c));
+  if (!uniqueMissing.length) return 0;
+
+  console.log(`→ Criando ${uniqueMissing.length} placeholders em import_clientes para satisfazer FK.`);
+  const placeholders = uniqueMissing.map(code => ({ codigo: String(code), cliente_codigo: String(code), nome: 'AUTO-CREATED', criado_em: new Date().toISOString() }));
+  if (plan) {
+    planAdd(plan, 'import_clientes', 'upsert_placeholder', placeholders.map(p => ({ codigo: p.codigo })));
+  } else {
+    for (let i = 0; i < placeholders.length; i += 300) {
+      const chunk = placeholders.slice(i, i + 300);
+      // insert-only: never overwrite a real client (or one filled by resolve_identities.js)
+      const { error } = await pool.run(signal => supabase.from('import_clientes').upsert(chunk, { onConflict: 'codigo', ignoreDuplicates: true }).abortSignal(signal), { rows: chunk.length });
+      if (error) {
+        console.error('Erro criando placeholders', error);
+        runCount(runReport, 'import_clientes', 'failed', chunk.length);
+        runError(runReport, 'import_clientes', error, { acao: 'placeholder' });
+        return chunk.length;
+      }
+      runCount(runReport, 'import_clientes', 'upserted', chunk.length);
+    }
+  }
+  for (const c of uniqueMissing) createdPlaceholders.add(c);
+  return 0;
+}
+
+// catalog before the product rows: import_clientes_produtos.produto_codigo references produtos (sql/016)
+async function updateCatalog(produtos, catalogStats) {
+  try {
+    const stats = await syncCatalog(supabase, produtos, { fonte: 'gerais', now: AS_OF || undefined, runId: runReport.id, plan, pool });
+    for (const k of Object.keys(catalogStats)) catalogStats[k] += stats[k];
+    runCount(runReport, 'produtos', 'read', stats.lidos);
+    if (!plan) runCount(runReport, 'produtos', 'upserted', stats.novos + stats.atualizados);
+    return 0;
+  } catch (e) {
+    runCount(runReport, 'produtos', 'failed', produtos.length);
+    runError(runReport, 'produtos', e);
+    return produtos.length;
+  }
+}
+
+/* Per-client content hash: unchanged client nodes (with their pedidos and
+   produtos_comprados) are not sent again. Hashes are only saved for batches that
+   were written without errors, so a failed client is retried on the next run, and a
+   purge drops the hashes of the clients it removes rows from (forgetPurged). */
+async function fetchClientHashes(codes) {
+  const hashes = new Map();
+  if (!codes.length || FULL_SYNC) return hashes;
+  const { data, error } = await pool.run(signal => supabase
+    .from('import_clientes_hash')
+    .select('codigo,hash')
+    .in('codigo', codes)
+    .abortSignal(signal));
+  if (error) {
+    console.error('Erro lendo import_clientes_hash (enviando lote completo):', error);
+    runError(runReport, 'import_clientes_hash', error, { acao: 'select' });
+    return hashes;
+  }
+  for (const row of data || []) hashes.set(String(row.codigo), row.hash);
+  return hashes;
+}
+
+async function saveClientHashes(entries) {
+  if (!entries.length) return;
+  if (plan) {
+    planAdd(plan, 'import_clientes_hash', 'upsert', entries.map(e => ({ codigo: e.codigo })));
     return;
   }
-  console.log(`deleteOrphansByKey: buscando chaves existentes em ${table} (${keyColumn})...`);
-  let allExisting = [];
-  let page = 0;
-  const pageSize = 10000;
-  while (true) {
-    const { data, error } = await supabase.from(table).select(keyColumn, { count: 'exact' }).range(page*pageSize, (page+1)*pageSize-1);
-    if (error) { console.error(`Erro lendo chaves de ${table}:`, error); return; }
-    if (!data || data.length === 0) break;
-    allExisting = allExisting.concat(data.map(r => r[keyColumn]));
-    if (data.length < pageSize) break;
-    page++;
-  }
-  const toDelete = allExisting.filter(k => { if (k === null || k === undefined) return false; const ks = String(k).trim(); if (ks === '') return false; return !keepKeysSet.has(ks); });
-  console.log(`→ ${toDelete.length} registros serão deletados de ${table} (em chunks).`);
-  for (let i = 0; i < toDelete.length; i += chunk) {
-    const chunkArr = toDelete.slice(i, i + chunk);
-    try {
-      const { error } = await supabase.from(table).delete().in(keyColumn, chunkArr);
-      if (error) console.error(`Erro ao deletar chunk em ${table} (offset ${i}):`, error); else console.log(`Deleted chunk ${i}-${i+chunkArr.length-1} from ${table}`);
-    } catch (e) { console.error(`Exception during delete chunk in ${table} (offset ${i}):`, e); }
-    await new Promise(res => setTimeout(res, 200));
+  const { error } = await pool.run(signal => supabase.from('import_clientes_hash').upsert(entries, { onConflict: 'codigo' }).abortSignal(signal), { rows: entries.length });
+  if (error) {
+    console.error('Erro gravando import_clientes_hash:', error);
+    runCount(runReport, 'import_clientes_hash', 'failed', entries.length);
+    runError(runReport, 'import_clientes_hash', error);
+  } else runCount(runReport, 'import_clientes_hash', 'upserted', entries.length);
+}
+
+async function flushBatch(batch, knownCodes, createdPlaceholders, stats) {
+  const entries = batch.entries;
+  batch.entries = [];
+  if (!entries.length) return;
+
+  const stored = await fetchClientHashes(entries.filter(e => e.hashKey).map(e => e.hashKey));
+  const changed = entries.filter(e => !e.hashKey || stored.get(e.hashKey) !== e.hash);
+  stats.skipped += entries.length - changed.length;
+  for (const e of entries) {
+    if (!e.hashKey || stored.get(e.hashKey) !== e.hash) continue;
+    runCount(runReport, 'import_clientes', 'skipped');
+    runCount(runReport, 'import_pedidos', 'skipped', e.pedidos.length);
+    runCount(runReport, 'import_clientes_produtos', 'skipped', e.produtos.length);
+    runCount(runReport, 'import_pedidos_itens', 'skipped', e.itens.length);
   }
-  console.log(`deleteOrphansByKey: concluído para ${table}`);
+  if (!changed.length) return;
+
+  const rows = {
+    clientes: changed.filter(e => e.row).map(e => e.row),
+    pedidos: changed.flatMap(e => e.pedidos),
+    produtos: changed.flatMap(e => e.produtos),
+    itens: changed.flatMap(e => e.itens)
+  };
+
+  let failed = await ensurePlaceholders(rows, knownCodes, createdPlaceholders);
+  if (rows.produtos.length) failed += await updateCatalog(rows.produtos, stats.catalogo);
+
+  // upsert clients and pedidos
+  if (rows.clientes.length) failed += await upsertClientesInBatches(rows.clientes, CLIENTES_BATCH);
+  if (rows.pedidos.length) failed += await upsertPedidosInBatches(rows.pedidos, PEDIDOS_BATCH);
+
+  // sync produtos using composite key logic (quantity-only)
+  if (rows.produtos.length) failed += await syncProductsQuantityComposite(rows.produtos, CHUNK_SIZE);
+  // order lines after their pedidos and the catalog (foreign keys)
+  if (rows.itens.length) failed += await upsertItensInBatches(rows.itens, stats.itens);
+
+  stats.sent += changed.length;
+  if (failed) {
+    console.error(`Lote com ${failed} falhas: hashes não gravados, ${changed.length} clientes serão reenviados na próxima execução.`);
+    return;
+  }
+  const now = new Date().toISOString();
+  await saveClientHashes(changed.filter(e => e.hashKey).map(e => ({ codigo: e.hashKey, hash: e.hash, atualizado_em: now })));
 }
 
 /* ------------------ main ------------------ */
 async function main() {
   try {
-    const source = process.argv[2];
+    const source = args.positional[0];
     if (!source || !fs.existsSync(source)) { console.error("Arquivo não encontrado:", source); process.exit(1); }
+    if (args.flags['as-of'] !== undefined && !AS_OF) { console.error("--as-of inválido:", args.flags['as-of']); process.exit(1); }
+    printConfig(config, ['sync', 'general', 'write', 'storage']);
+    if (DRY_RUN) plan = createPlan('gerais', source);
+    keyReport = createKeyReport(source);
+    runReport = createRunReport('gerais', source, { dryRun: DRY_RUN });
+    await describeFeed(runReport, source);
+    if (AS_OF) runDetail(runReport, 'as_of', AS_OF);
+    quarantine = createQuarantine('gerais', source, runReport.id);
 
-    const raw = fs.readFileSync(source, 'utf8');
-    let json;
-    try { json = JSON.parse(raw); } catch (e) { console.error("Erro parseando JSON:", e.message); process.exit(1); }
-
-    const clientesArr = findArrayByHeuristics(json, ['clientes','lista_clientes','lista_clientes_geral','clientes_lista','clientes_data','users']);
-    const clientesSource = Array.isArray(clientesArr) && clientesArr.length ? clientesArr : (Array.isArray(json) ? json : []);
-    console.log(`→ Clientes no JSON: ${clientesSource.length}`);
-
-    // build clients rows
-    let clientesRows = clientesSource.map(it => pickFields(it, COLUMNS_CLIENTES));
-    clientesRows = clientesRows.map(row => {
-      const copy = { ...row };
-      copy.codigo = copy.codigo ?? copy.cliente_codigo ?? copy.id ?? copy.codigo_cliente ?? null;
-      copy.codigo = normalizeCodigo(copy.codigo);
-      if (!copy.cliente_codigo && copy.codigo) copy.cliente_codigo = copy.codigo;
-      copy.cliente_codigo = normalizeCodigo(copy.cliente_codigo);
-      copy.total_pedidos = (copy.total_pedidos !== undefined) ? parseInt(String(copy.total_pedidos).replace(/\D/g,''),10) || null : null;
-      copy.valor_total_comprado = toNumberOrNull(copy.valor_total_comprado);
-      if (copy.data_cadastro) copy.data_cadastro = sanitizeDateValue(copy.data_cadastro);
-      copy.criado_em = (new Date().toISOString()).replace(/\.\d+Z$/, 'Z');
-      for (const k of Object.keys(copy)) if (typeof copy[k] === 'string' && isLikelyZeroDate(copy[k])) copy[k] = null;
-      return copy;
-    });
+    // only keys are kept for the whole run: client codes always (dedupe, placeholders);
+    // pedidos, produtos and itens only for the tables in general.reconcile
+    const clientesKeysSet = new Set();
+    const feedKeys = {};
+    for (const table of ['import_pedidos', 'import_clientes_produtos', 'import_pedidos_itens']) feedKeys[table] = RECONCILE.has(table) ? new Set() : null;
+    const createdPlaceholders = new Set();
+    const batch = { entries: [] };
+    const stats = { sent: 0, skipped: 0, catalogo: { lidos: 0, novos: 0, atualizados: 0, precos: 0 }, itens: { enviados: 0, vinculados: 0, sem_pedido: 0 } };
+    const contacts = {};
+    let totalPedidos = 0;
+    let totalProdutos = 0;
+    let totalItens = 0;
+    // quarantined records per kind, and the keys of those still in the feed (kept by the reconciliation)
+    const quarantined = { clientes: 0, pedidos: 0, produtos: 0, pedidosLidos: 0, produtosLidos: 0 };
+    const quarantinedKeys = { clientes: new Set(), pedidos: new Set(), produtos: new Set(), itens: new Set() };
+    let nodeIndex = 0;
 
-    clientesRows = clientesRows.map(c => { if (!c.codigo && c.cliente_codigo) c.codigo = c.cliente_codigo; return c; });
-    clientesRows = (function dedupe(rows){ const map=new Map(); for(const r of rows){ const k=String(r.codigo||r.cliente_codigo||''); if(!map.has(k)) map.set(k,r);} return Array.from(map.values()); })(clientesRows);
-    console.log(`→ DEDUPE / clientes únicos: ${clientesRows.length}`);
-
-    const pedidosRows = [];
-    const produtosRows = [];
-
-    // IMPORTANT: products in JSON are usually after client's pedidos; we must associate current client while iterating
-    for (let idx = 0; idx < clientesSource.length; idx++) {
-      const client = clientesSource[idx] || {};
-      const clienteCodigo = normalizeCodigo(client.codigo ?? client.cliente_codigo ?? client.id ?? '') || '0';
-
-      // pedidos
-      if (Array.isArray(client.pedidos)) {
-        for (const rawItem of client.pedidos) {
-          const p = pickFields(rawItem, COLUMNS_PEDIDOS);
-          p.codigo_pedido = p.codigo_pedido ?? rawItem.codigo_pedido ?? rawItem.codigo ?? rawItem.numero_pedido ?? rawItem.order_id ?? rawItem.id ?? null;
-          p.codigo_pedido = normalizeCodigo(p.codigo_pedido);
-          p.cliente_codigo = normalizeCodigo(clienteCodigo ?? rawItem.cliente_codigo ?? rawItem.cliente ?? rawItem.codigo_cliente ?? rawItem.customer_id ?? rawItem.id_cliente) || '0';
-          p.situacao_pedido = p.situacao_pedido ?? rawItem.status ?? rawItem.situacao ?? rawItem.status_pedido ?? null;
-          p.data_hora_pedido = sanitizeDateValue(rawItem.data_hora_pedido ?? rawItem.data_pedido ?? rawItem.data_hora ?? rawItem.created_at ?? rawItem.criado_em ?? null);
-          p.data_hora_confirmacao = sanitizeDateValue(rawItem.data_hora_confirmacao ?? rawItem.confirmado_em ?? rawItem.paid_at ?? null);
-          p.valor_total_produtos = toNumberOrNull(rawItem.valor_total_produtos ?? rawItem.valor_produtos ?? rawItem.items_total ?? rawItem.total_items ?? rawItem.total ?? null);
-          p.valor_frete = toNumberOrNull(rawItem.valor_frete ?? rawItem.shipping_value ?? rawItem.frete ?? null);
-          p.valor_total_pedido = toNumberOrNull(rawItem.valor_total_pedido ?? rawItem.total ?? null);
-          p.desconto = toNumberOrNull(rawItem.desconto ?? rawItem.valor_desconto ?? rawItem.discount ?? null);
-          p.percentual_comissao = toNumberOrNull(rawItem.percent ?? rawItem.comissao ?? null);
-          p.cidade = rawItem.cidade ?? client.cidade ?? null;
-          p.estado = rawItem.estado ?? client.estado ?? null;
-          p.origem_pedido = rawItem.origem_pedido ?? null;
-          p.tipo_compra = rawItem.tipo_compra ?? null;
-          p.texto_tipo_compra = rawItem.texto_tipo_compra ?? null;
-          p.pedidos_loja_drop = rawItem.pedidos_loja_drop ?? null;
-          p.criado_em = new Date().toISOString();
-          for (const k of Object.keys(p)) if (typeof p[k] === 'string' && isLikelyZeroDate(p[k])) p[k] = null;
-          if (!p.codigo_pedido) p.codigo_pedido = `P_${clienteCodigo || '0'}_${Math.floor(Math.random()*1e9)}`;
-          pedidosRows.push(p);
-        }
-      }
+    let clientesLidos;
+    try {
+      clientesLidos = await runPhase(runReport, 'stream_and_write', () => streamClientNodes(source, config.general.arrayCandidates, async (node) => {
+        const client = acceptClient(node, nodeIndex++, quarantined, quarantinedKeys);
+        if (!client) return;
+        const row = buildClienteRow(client);
 
-      // produtos_comprados: attach clienteCodigo since products in JSON are under the client node
-      const produtosComprados = client.produtos_comprados;
-      if (produtosComprados && typeof produtosComprados === 'object') {
-        for (const key of Object.keys(produtosComprados)) {
-          const prRaw = produtosComprados[key] || {};
-          const produto_codigo = normalizeCodigo(prRaw.codigo ?? key) || null;
-          const quantidade = prRaw.quantidade != null ? (parseInt(String(prRaw.quantidade).replace(/\D/g,''),10) || toNumberOrNull(prRaw.quantidade) || 0) : null;
-          const id_pedido = prRaw.id_pedido ?? prRaw.idPedido ?? null;
-          const produtoRow = {
-            cliente_codigo: clienteCodigo || '0',
-            produto_codigo,
-            titulo: prRaw.titulo ?? prRaw.title ?? null,
-            categoria_principal: prRaw.categoria_principal ?? prRaw.categoriaPrincipal ?? null,
-            categoria: prRaw.categoria ?? null,
-            marca: prRaw.marca ?? prRaw.brand ?? null,
-            quantidade: quantidade,
-            criado_em: new Date().toISOString(),
-            tamanho: null,
-            cor: null,
-            sku: prRaw.sku ?? null,
-            data_pedido: sanitizeDateValue(prRaw.data_pedido ?? prRaw.data),
-            id_pedido: id_pedido !== undefined ? id_pedido : null
-          };
-          for (const k of Object.keys(produtoRow)) if (typeof produtoRow[k] === 'string' && isLikelyZeroDate(produtoRow[k])) produtoRow[k] = null;
-          produtosRows.push(produtoRow);
+        // IMPORTANT: products in JSON are usually after client's pedidos; we must associate current client while iterating
+        // clients without codigo get a synthetic key instead of collapsing into '0'
+        const { codigo: clienteCodigo, synthetic } = resolveClienteCodigo(client, row);
+        if (!row.codigo) row.codigo = row.cliente_codigo = clienteCodigo;
+        const pedidos = buildPedidoRows(client, clienteCodigo, keyReport);
+        const produtos = buildProdutoRows(client, clienteCodigo);
+        const itens = buildItemRows(client, clienteCodigo, pedidos);
+        if (synthetic) {
+          reportAdd(keyReport, 'cliente', { chave: clienteCodigo, base: synthetic.basis, nome: client.nome ?? null, email: client.email ?? null, pedidos: pedidos.length, produtos: produtos.length });
         }
-      }
+
+        const dedupeKey = String(row.codigo);
+        const firstSeen = !clientesKeysSet.has(dedupeKey);
+        clientesKeysSet.add(dedupeKey);
+        if (firstSeen) countContact(contacts, row.whatsapp_tipo, row.email, row.email_normalizado);
+        if (feedKeys.import_pedidos) for (const p of pedidos) feedKeys.import_pedidos.add(String(p.codigo_pedido).trim());
+        if (feedKeys.import_clientes_produtos) for (const pr of produtos) feedKeys.import_clientes_produtos.add(compositeKeyFor(pr));
+        if (feedKeys.import_pedidos_itens) for (const it of itens) feedKeys.import_pedidos_itens.add(it.chave);
+        totalPedidos += pedidos.length;
+        totalProdutos += produtos.length;
+        totalItens += itens.length;
+
+        // only the first node of a codigo is hashed; nodes without codigo and repeated codes always go out
+        batch.entries.push({
+          hashKey: firstSeen && dedupeKey ? dedupeKey : null,
+          hash: contentHash([HASH_VERSION, node]),
+          row: firstSeen ? row : null,
+          pedidos,
+          produtos,
+          itens
+        });
+
+        if (batch.entries.length >= FLUSH_CLIENTS) await flushBatch(batch, clientesKeysSet, createdPlaceholders, stats);
+      }));
+    } catch (e) {
+      throw new Error(`Erro lendo/processando o JSON: ${e.message}`);
     }
+    await runPhase(runReport, 'stream_and_write', () => flushBatch(batch, clientesKeysSet, createdPlaceholders, stats));
+    const linked = await runPhase(runReport, 'link_itens', () => linkPendingItems());
+
+    clientesKeysSet.delete('');
+    if (feedKeys.import_pedidos) feedKeys.import_pedidos.delete('');
+    console.log(`→ Clientes no JSON: ${clientesLidos} (únicos: ${clientesKeysSet.size})`);
+    console.log(`→ EXTRAÍDO: pedidos ${totalPedidos}, produtos ${totalProdutos}, itens de pedido ${totalItens}`);
+    console.log(`→ Clientes enviados: ${stats.sent}, inalterados (hash) ignorados: ${stats.skipped}${FULL_SYNC ? ' [--full]' : ''}`);
+    console.log(`→ Catálogo: ${formatCatalogStats(stats.catalogo)}`);
+    printLinkSummary(stats.itens, linked);
+    console.log(`→ Contatos: ${formatContactCounts(contacts)}`);
+    printKeyReportSummary(keyReport);
+    writeKeyReport(keyReport, KEY_REPORT_FILE);
+    runReport.feed.items = clientesLidos;
+    runCount(runReport, 'import_clientes', 'read', clientesLidos);
+    runCount(runReport, 'import_pedidos', 'read', quarantined.pedidosLidos);
+    runCount(runReport, 'import_clientes_produtos', 'read', quarantined.produtosLidos);
+    runCount(runReport, 'import_pedidos_itens', 'read', totalItens);
+    runCount(runReport, 'import_clientes', 'quarantined', quarantined.clientes);
+    runCount(runReport, 'import_pedidos', 'quarantined', quarantined.pedidos);
+    runCount(runReport, 'import_clientes_produtos', 'quarantined', quarantined.produtos);
+    runDetail(runReport, 'clientes_unicos', clientesKeysSet.size);
+    runDetail(runReport, 'clientes_enviados', stats.sent);
+    runDetail(runReport, 'catalogo', stats.catalogo);
+    runDetail(runReport, 'itens_pedido', { ...stats.itens, ...(linked || {}) });
+    runDetail(runReport, 'full_sync', FULL_SYNC);
+    runDetail(runReport, 'contatos', contacts);
+    runDetail(runReport, 'quarentena', quarantine.totals);
+    printQuarantineSummary(quarantine);
+    await saveQuarantine(supabase, quarantine, QUARANTINE_FILE, { plan });
 
-    console.log(`→ EXTRAÍDO: pedidos ${pedidosRows.length}, produtos ${produtosRows.length}`);
-
-    // placeholders for missing clients referenced by pedidos/produtos
-    const existingSet = new Set(clientesRows.map(c => String(c.codigo ?? c.cliente_codigo ?? '').trim()));
-    const usedCodes = new Set();
-    for (const p of pedidosRows) usedCodes.add(String(p.cliente_codigo ?? '').trim());
-    for (const pr of produtosRows) usedCodes.add(String(pr.cliente_codigo ?? '').trim());
-    const missing = Array.from(usedCodes).filter(c => c !== '' && !existingSet.has(c));
-    if (usedCodes.has('') || usedCodes.has('0')) { if (!existingSet.has('0')) missing.push('0'); }
-    const uniqueMissing = Array.from(new Set(missing));
-    if (uniqueMissing.length) {
-      console.log(`→ Criando ${uniqueMissing.length} placeholders em import_clientes para satisfazer FK.`);
-      const placeholders = uniqueMissing.map(code => ({ codigo: String(code), cliente_codigo: String(code), nome: 'AUTO-CREATED', criado_em: new Date().toISOString() }));
-      for (let i = 0; i < placeholders.length; i += 300) {
-        const chunk = placeholders.slice(i, i + 300);
-        const { error } = await supabase.from('import_clientes').upsert(chunk, { onConflict: 'codigo' });
-        if (error) console.error('Erro criando placeholders', error);
+    // a feed that is largely invalid is a format change upstream (or the wrong array): keep the data, fail the run
+    const recordsRead = clientesLidos + quarantined.pedidosLidos + quarantined.produtosLidos;
+    const quarantineBlocked = recordsRead > 0 && quarantineTotal(quarantine) / recordsRead > MAX_QUARANTINE_RATIO;
+
+    // soft-delete reconciliation; quarantined records (and placeholders) still count as present
+    if (quarantineBlocked) {
+      console.error(`${quarantineTotal(quarantine)} de ${recordsRead} registros fora do esquema (limite ${MAX_QUARANTINE_RATIO}); reconciliação não executada.`);
+    } else {
+      try {
+        const reconciled = {};
+        await runPhase(runReport, 'reconcile', async () => {
+          reconciled.import_pedidos = await reconcileTable('import_pedidos', [feedKeys.import_pedidos, quarantinedKeys.pedidos], quarantinedKeys.clientes);
+          reconciled.import_clientes_produtos = await reconcileTable('import_clientes_produtos', [feedKeys.import_clientes_produtos, quarantinedKeys.produtos], quarantinedKeys.clientes);
+          reconciled.import_pedidos_itens = await reconcileTable('import_pedidos_itens', [feedKeys.import_pedidos_itens, quarantinedKeys.itens], quarantinedKeys.clientes);
+          // clients last: one still referenced by an active row is kept
+          reconciled.import_clientes = await reconcileTable('import_clientes', [clientesKeysSet, quarantinedKeys.clientes, createdPlaceholders], new Set());
+        });
+        // children first: a client is only removed after its pedidos / produtos
+        await runPhase(runReport, 'purge', async () => {
+          for (const table of ['import_pedidos_itens', 'import_clientes_produtos', 'import_pedidos', 'import_clientes']) {
+            const purged = await purgeSoftDeleted(table);
+            if (reconciled[table]) reconciled[table].removidos = purged;
+          }
+        });
+        runDetail(runReport, 'reconciliacao', reconciled);
+      } catch (e) {
+        console.error('Erro durante a reconciliação:', e);
+        runError(runReport, null, e, { acao: 'reconcile' });
       }
-      console.log('Placeholders processed.');
-    } else console.log('→ Nenhum placeholder necessário.');
+    }
 
-    // upsert clients and pedidos
-    if (clientesRows.length) await upsertClientesInBatches(clientesRows, 300);
-    if (pedidosRows.length) await upsertPedidosInBatches(pedidosRows, 200);
+    if (plan) {
+      printPlanSummary(plan);
+      writePlanFile(plan, PLAN_FILE);
+      await closeRunReport(quarantineBlocked ? 'failed' : null);
+      return;
+    }
 
-    // sync produtos using composite key logic (quantity-only)
-    if (produtosRows.length) {
-      await syncProductsQuantityComposite(produtosRows, CHUNK_SIZE);
+    if (quarantineBlocked) {
+      await closeRunReport('failed');
+      console.error("Sync finished with too many records in quarantine. Check the feed format.");
+      process.exit(1);
     }
 
-    // optional delete orphans (disabled by default)
-    try {
-      await deleteOrphansByKey('import_clientes', 'codigo', new Set(clientesRows.map(c => String(c.codigo ?? c.cliente_codigo ?? '').trim())), 1000);
-      const pedidosKeysSet = new Set(pedidosRows.map(p => String(p.codigo_pedido).trim()).filter(x => x !== ''));
-      const produtosKeysSet = new Set(produtosRows.map(p => String(p.produto_codigo || '').trim()).filter(x => x !== ''));
-      await deleteOrphansByKey('import_pedidos', 'codigo_pedido', pedidosKeysSet, 1000);
-      await deleteOrphansByKey('import_clientes_produtos', 'produto_codigo', produtosKeysSet, 1000);
-    } catch (e) {
-      console.error('Erro durante delete-orphans process:', e);
+    if (deleteBlocked) {
+      await closeRunReport('blocked');
+      console.error("Sync finished WITHOUT marking missing rows as deleted (deletion guard). Check the feed.");
+      process.exit(1);
     }
 
+    // failures used to be logged and swallowed; above the ratio the run now fails
+    if (await closeRunReport() !== 'ok') {
+      console.error(`Sync finished with a failure ratio above the limit (${MAX_FAILURE_RATIO}).`);
+      process.exit(1);
+    }
+
+    // baseline for the deletion guard on the next run: import_clientes always (its keys are
+    // kept anyway), the other tables only when reconciled, since only then are their keys held
+    await recordFeedCount(supabase, 'import_clientes', clientesKeysSet.size);
+    for (const [table, keys] of Object.entries(feedKeys)) if (keys) await recordFeedCount(supabase, table, keys.size);
+
     console.log("Sync finished successfully.");
   } catch (err) {
     console.error("Fatal error in main:", err);
+    if (runReport) {
+      runError(runReport, null, err);
+      await closeRunReport('error');
+    }
     process.exit(1);
   }
 }
 
+// finishes, prints and saves the run report; returns its final status
+async function closeRunReport(status = null) {
+  const writes = pool.summary();
+  console.log(`→ Escrita: ${formatPoolSummary(writes)}`);
+  runDetail(runReport, 'escrita', writes);
+  finishRunReport(runReport, { maxRatio: MAX_FAILURE_RATIO, status });
+  printRunReport(runReport);
+  await saveRunReport(supabase, runReport, REPORT_FILE);
+  return runReport.status;
+}
+
 process.on('unhandledRejection', (reason, p) => {
   console.error('Unhandled Rejection at:', p, 'reason:', reason);
   process.exit(1);
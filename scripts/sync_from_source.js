@@ -1,46 +1,79 @@
 const fs = require('fs');
 const path = require('path');
-const { createClient } = require('@supabase/supabase-js');
-
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-  console.error("Missing Supabase credentials");
-  process.exit(1);
-}
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
-  auth: { persistSession: false }
-});
-
-function moneyToNumber(str) {
-  if (!str) return null;
-  const cleaned = String(str)
-    .replace(/[^\d,.-]/g, "")
-    .replace(/\./g, "")
-    .replace(/,/g, ".");
-  const n = parseFloat(cleaned);
-  return isNaN(n) ? null : n;
+const crypto = require('crypto');
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit, printConfig } = require('./lib/config');
+const { createStorageOrExit } = require('./lib/storage');
+const { createPlan, planAdd, printPlanSummary, writePlanFile } = require('./lib/plan');
+const { checkDeleteGuard, recordFeedCount } = require('./lib/delete_guard');
+const { loadCartStates, computeLifecycle, recordEvents } = require('./lib/cart_history');
+const { parseAsOf } = require('./lib/dates');
+const { countContact, formatContactCounts } = require('./lib/contacts');
+const { buildCartWebhookEvents, dispatchWebhooks } = require('./lib/webhooks');
+const { createRunReport, describeFeed, runCount, runError, runDetail, runPhase, finishRunReport, printRunReport, saveRunReport } = require('./lib/run_report');
+const { moneyToNumber, feedItems, normalizeCarrinho } = require('./lib/carts');
+const { normalizeCodigo } = require('./lib/general_rows');
+const { syncCatalog, formatCatalogStats } = require('./lib/catalog');
+const { CARRINHO, validateRecord } = require('./lib/schemas');
+const { createQuarantine, quarantineAdd, quarantineTotal, printQuarantineSummary, saveQuarantine } = require('./lib/quarantine');
+
+// ajustes em lib/config.js (padrão < sync.config.json < env < flags)
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const supabase = createStorageOrExit(config);
+const BATCH_SIZE = config.carts.batchSize;
+
+// --dry-run (ou DRY_RUN=1): lê o estado atual mas não grava nada; gera o plano
+const DRY_RUN = config.sync.dryRun;
+const PLAN_FILE = args.flags['plan-file'] || 'sync-plan-carrinhos.json';
+let plan = null;
+
+// guard contra deleção em massa (feed vazio/truncado); --force-delete libera
+const FORCE_DELETE = config.sync.forceDelete;
+const MAX_SHRINK_PCT = config.sync.maxShrinkPct;
+let deleteBlocked = false;
+
+// relatório estruturado da execução (sync_runs + JSON); sai com 1 acima da taxa de falhas
+const REPORT_FILE = args.flags['report-file'] || 'sync-run-carrinhos.json';
+const MAX_FAILURE_RATIO = config.sync.maxFailureRatio;
+let runReport = null;
+
+// carrinhos fora do esquema (lib/schemas.js) ficam de fora: sync_quarentena + --quarantine-file
+const QUARANTINE_FILE = args.flags['quarantine-file'] || 'quarantine-carrinhos.json';
+const MAX_QUARANTINE_RATIO = config.sync.maxQuarantineRatio;
+let quarantine = null;
+
+// --as-of: horário do snapshot no replay (scripts/replay_snapshots.js); first_seen, last_seen,
+// closed_at, eventos e o histórico de preços do catálogo ficam com ele em vez de agora
+const AS_OF = parseAsOf(args.flags['as-of']);
+
+/* splits the feed into carts that match the schema and quarantined ones; returns
+   { valid, present } where present holds the ids of quarantined carts (still in the
+   feed, so they must not be closed) */
+function validateCarrinhos(items) {
+  const valid = [];
+  const present = new Set();
+  items.forEach((item, i) => {
+    const reasons = validateRecord(CARRINHO, item);
+    if (!reasons.length) {
+      valid.push(item);
+      return;
+    }
+    const id = item && typeof item === 'object' ? item.id ?? item.carrinho_id ?? null : null;
+    const hasId = (typeof id === 'string' && id.trim() !== '') || typeof id === 'number';
+    if (hasId) present.add(String(id));
+    quarantineAdd(quarantine, 'carrinho', hasId ? id : null, item, reasons, { indice: i });
+  });
+  return { valid, present };
 }
 
-function normalizeCarrinho(item) {
-  return {
-    carrinho_id: String(item.id ?? item.carrinho_id ?? ''),
-    id_clientes: item.id_clientes ?? null,
-    nome: item.nome ?? item.name ?? null,
-    email: item.email ?? null,
-    celular: item.celular ?? item.telefone ?? null,
-    data_transacao: item.data_transacao ?? null,
-    hora_transacao: item.hora_transacao ?? null,
-    total_valor: moneyToNumber(item.valor_total ?? item["valor total"] ?? null),
-    produtos: item.produtos ?? [],
-    raw: item
-  };
-}
+async function upsertCarrinhos(carrinhos, states) {
+  const batchSize = BATCH_SIZE;
 
-async function upsertCarrinhos(carrinhos) {
-  const batchSize = 200;
+  if (plan) {
+    planAdd(plan, 'carrinhos', 'upsert', carrinhos.map(c => ({ carrinho_id: c.carrinho_id, nome: c.nome, total_valor: c.total_valor })));
+    return;
+  }
 
   for (let i = 0; i < carrinhos.length; i += batchSize) {
     const batch = carrinhos.slice(i, i + batchSize);
@@ -51,54 +84,79 @@ async function upsertCarrinhos(carrinhos) {
 
     if (error) {
       console.error("Erro ao fazer upsert:", error);
+      runCount(runReport, 'carrinhos', 'failed', batch.length);
+      runError(runReport, 'carrinhos', error, { offset: i });
       throw error;
     } else {
+      const existing = batch.filter(c => states.has(String(c.carrinho_id))).length;
+      runCount(runReport, 'carrinhos', 'updated', existing);
+      runCount(runReport, 'carrinhos', 'inserted', batch.length - existing);
       console.log(`Upsert carrinhos OK (offset ${i})`);
     }
   }
 }
 
-async function deleteMissingCarrinhos(currentIds) {
-  const { data: rows, error } = await supabase
-    .from('carrinhos')
-    .select('carrinho_id');
+// soft close: carts that left the feed keep their rows (and products) for analytics
+async function closeMissingCarrinhos(closing, openCount, feedCount) {
+  if (closing.length === 0) {
+    console.log("Nenhum carrinho para fechar.");
+    return true;
+  }
 
-  if (error) return console.error("Erro lendo carrinhos:", error);
+  const guard = await checkDeleteGuard(supabase, 'carrinhos', feedCount, openCount, { force: FORCE_DELETE, maxShrinkPct: MAX_SHRINK_PCT });
+  if (!guard.ok) {
+    deleteBlocked = true;
+    if (plan) planAdd(plan, 'carrinhos', 'close_blocked', { carrinhos: closing.length, motivo: guard.reason });
+    return false;
+  }
 
-  const toDelete = rows
-    .filter(row => !currentIds.includes(String(row.carrinho_id)))
-    .map(r => r.carrinho_id);
+  console.log("Fechando carrinhos ausentes no JSON:", closing.length);
 
-  if (toDelete.length === 0) {
-    console.log("Nenhum carrinho para remover.");
-    return;
+  if (plan) {
+    planAdd(plan, 'carrinhos', 'close', closing.map(id => ({ carrinho_id: id })));
+    return true;
   }
 
-  console.log("Removendo carrinhos inexistentes no JSON:", toDelete.length);
+  const closedAt = AS_OF || new Date().toISOString();
+  const batchSize = BATCH_SIZE;
+  for (let i = 0; i < closing.length; i += batchSize) {
+    const batch = closing.slice(i, i + batchSize);
+    const { error } = await supabase
+      .from('carrinhos')
+      .update({ status: 'closed', closed_at: closedAt })
+      .in('carrinho_id', batch);
 
-  await supabase.from('carrinho_produtos').delete().in('carrinho_id_text', toDelete);
-  await supabase.from('carrinhos').delete().in('carrinho_id', toDelete);
+    if (error) {
+      console.error("Erro fechando carrinhos:", error);
+      runCount(runReport, 'carrinhos', 'failed', batch.length);
+      runError(runReport, 'carrinhos', error, { acao: 'close', offset: i });
+      throw error;
+    }
+    runCount(runReport, 'carrinhos', 'updated', batch.length);
+  }
+  runDetail(runReport, 'carrinhos_fechados', closing.length);
 
-  console.log("Carrinhos removidos.");
+  console.log("Carrinhos fechados.");
+  return true;
 }
 
-async function syncProducts(carrinhos) {
-  let allProducts = [];
-
+/*
+  Cart products are replaced atomically per cart: this run's rows are staged under
+  run_id, the carrinhos upsert then points each cart at them (produtos_run_id) and only
+  after that the previous rows are deleted. The view carrinho_produtos_atual (sql/012)
+  only shows rows of each cart's current run, so readers never see a half-synced cart.
+*/
+function buildProductRows(carrinhos, runId) {
+  const allProducts = [];
   for (const c of carrinhos) {
     const cid = String(c.carrinho_id ?? c.id ?? '');
-
-    await supabase
-      .from('carrinho_produtos')
-      .delete()
-      .eq('carrinho_id_text', cid);
-
     if (!Array.isArray(c.produtos)) continue;
 
     c.produtos.forEach(p => {
       allProducts.push({
         carrinho_id_text: cid,
-        produto_codigo: p.codigo ?? null,
+        run_id: runId,
+        produto_codigo: normalizeCodigo(p.codigo) || null,  // same key as the catalog (produtos.codigo)
         nome_produto: p.produto ?? null,
         imagem: p.imagem ?? null,
         tamanho: p.tamanho ?? null,
@@ -113,10 +171,37 @@ async function syncProducts(carrinhos) {
       });
     });
   }
+  return allProducts;
+}
+
+// the catalog goes first: carrinho_produtos.produto_codigo references produtos (sql/016)
+async function updateCatalog(carrinhos, runId) {
+  try {
+    const stats = await syncCatalog(supabase, buildProductRows(carrinhos, runId), { fonte: 'carrinhos', now: AS_OF || undefined, runId: runReport.id, plan });
+    console.log(`Catálogo: ${formatCatalogStats(stats)}`);
+    runCount(runReport, 'produtos', 'read', stats.lidos);
+    runDetail(runReport, 'catalogo', stats);
+    if (plan) return;
+    runCount(runReport, 'produtos', 'upserted', stats.novos + stats.atualizados);
+    runCount(runReport, 'produtos_precos', 'inserted', stats.precos);
+  } catch (e) {
+    runError(runReport, 'produtos', e);
+    throw e;
+  }
+}
 
-  console.log(`Inserindo ${allProducts.length} produtos...`);
+// inserts this run's rows; on failure removes what was staged and throws (nothing switched yet)
+async function stageProducts(carrinhos, runId) {
+  const allProducts = buildProductRows(carrinhos, runId);
+  console.log(`Inserindo ${allProducts.length} produtos (run ${runId})...`);
+  runCount(runReport, 'carrinho_produtos', 'read', allProducts.length);
 
-  const batchSize = 200;
+  if (plan) {
+    planAdd(plan, 'carrinho_produtos', 'insert_staged', allProducts.map(({ raw, ...p }) => p));
+    return;
+  }
+
+  const batchSize = BATCH_SIZE;
 
   for (let i = 0; i < allProducts.length; i += batchSize) {
     const batch = allProducts.slice(i, i + batchSize);
@@ -126,21 +211,64 @@ async function syncProducts(carrinhos) {
       .insert(batch, { returning: false });
 
     if (error) {
-      console.error("Erro inserindo produtos:", error);
+      console.error("Erro ao inserir produtos:", error);
+      runCount(runReport, 'carrinho_produtos', 'failed', allProducts.length - i);
+      runError(runReport, 'carrinho_produtos', error, { offset: i, run_id: runId });
+      const { error: cleanupError } = await supabase.from('carrinho_produtos').delete().eq('run_id', runId);
+      if (cleanupError) console.error("Erro removendo produtos da run interrompida:", cleanupError);
       throw error;
     }
 
+    runCount(runReport, 'carrinho_produtos', 'inserted', batch.length);
     console.log(`Batch produtos OK (offset ${i})`);
   }
 }
 
+// after the switch: rows of earlier runs (and pre-run_id rows) of the carts in this feed
+async function dropPreviousProducts(cartIds, runId) {
+  if (plan) {
+    planAdd(plan, 'carrinho_produtos', 'delete_previous_runs', { carrinhos: cartIds.length, run_id_atual: runId });
+    return;
+  }
+
+  const batchSize = BATCH_SIZE;
+  for (let i = 0; i < cartIds.length; i += batchSize) {
+    const batch = cartIds.slice(i, i + batchSize);
+    const stale = await supabase.from('carrinho_produtos').delete({ count: 'exact' }).in('carrinho_id_text', batch).neq('run_id', runId);
+    const legacy = await supabase.from('carrinho_produtos').delete({ count: 'exact' }).in('carrinho_id_text', batch).is('run_id', null);
+    runCount(runReport, 'carrinho_produtos', 'deleted', (stale.count || 0) + (legacy.count || 0));
+    // not fatal: the view already hides these rows, the next run retries
+    if (stale.error || legacy.error) {
+      console.error("Erro removendo produtos de runs anteriores:", stale.error || legacy.error);
+      runError(runReport, 'carrinho_produtos', stale.error || legacy.error, { acao: 'delete_previous_runs', offset: i });
+    }
+  }
+}
+
+// finishes, prints and saves the run report; returns its final status
+async function closeRunReport(status = null) {
+  finishRunReport(runReport, { maxRatio: MAX_FAILURE_RATIO, status });
+  printRunReport(runReport);
+  await saveRunReport(supabase, runReport, REPORT_FILE);
+  return runReport.status;
+}
+
 async function main() {
-  const source = process.argv[2];
+  const source = args.positional[0];
 
-  if (!fs.existsSync(source)) {
+  if (!source || !fs.existsSync(source)) {
     console.error("Arquivo não encontrado:", source);
     process.exit(1);
   }
+  if (args.flags['as-of'] !== undefined && !AS_OF) {
+    console.error("--as-of inválido:", args.flags['as-of']);
+    process.exit(1);
+  }
+  printConfig(config, ['sync', 'carts', 'storage']);
+
+  runReport = createRunReport('carrinhos', source, { dryRun: DRY_RUN });
+  await describeFeed(runReport, source);
+  if (AS_OF) runDetail(runReport, 'as_of', AS_OF);
 
   const raw = fs.readFileSync(source, "utf8");
   let json;
@@ -148,27 +276,97 @@ async function main() {
   try {
     json = JSON.parse(raw);
   } catch (e) {
-    console.error("Erro parseando JSON:", e.message);
+    throw new Error(`Erro parseando JSON: ${e.message}`);
+  }
+
+  const items = feedItems(json);
+  if (DRY_RUN) plan = createPlan('carrinhos', source);
+
+  quarantine = createQuarantine('carrinhos', source, runReport.id);
+  const { valid, present } = validateCarrinhos(items);
+  const normalized = valid.map(normalizeCarrinho);
+
+  console.log("Carrinhos encontrados:", items.length);
+  runReport.feed.items = items.length;
+  runCount(runReport, 'carrinhos', 'read', items.length);
+  runCount(runReport, 'carrinhos', 'quarantined', quarantineTotal(quarantine));
+  runDetail(runReport, 'quarentena', quarantine.totals);
+  printQuarantineSummary(quarantine);
+  await saveQuarantine(supabase, quarantine, QUARANTINE_FILE, { plan });
+
+  // a feed that is mostly invalid is a format change upstream: write nothing
+  if (items.length && quarantineTotal(quarantine) / items.length > MAX_QUARANTINE_RATIO) {
+    console.error(`${quarantineTotal(quarantine)} de ${items.length} carrinhos fora do esquema (limite ${MAX_QUARANTINE_RATIO}); nada foi gravado.`);
+    await closeRunReport('failed');
     process.exit(1);
   }
 
-  const items = json.lista_carrinhos ?? json.carrinhos ?? json ?? [];
+  const contacts = normalized.reduce((counts, c) => countContact(counts, c.celular_tipo, c.email, c.email_normalizado), {});
+  console.log(`Contatos: ${formatContactCounts(contacts)}`);
+  runDetail(runReport, 'contatos', contacts);
+
+  const states = await runPhase(runReport, 'load_states', () => loadCartStates(supabase));
+  if (!states) throw new Error("Não foi possível ler o estado atual de carrinhos");
+
+  const { rows, events, closing } = computeLifecycle(states, normalized, { now: AS_OF || undefined, present });
+  const openCount = Array.from(states.values()).filter(s => s.status !== 'closed').length;
+
+  // products first (staged), then the carrinhos upsert switches each cart to them
+  const runId = crypto.randomUUID();
+  runDetail(runReport, 'produtos_run_id', runId);
+  await runPhase(runReport, 'catalog', () => updateCatalog(normalized, runId));
+  await runPhase(runReport, 'stage_products', () => stageProducts(normalized, runId));
+  for (const r of rows) r.produtos_run_id = runId;
+  await runPhase(runReport, 'upsert_carrinhos', () => upsertCarrinhos(rows, states));
+  await runPhase(runReport, 'drop_previous_products', () => dropPreviousProducts(rows.map(r => r.carrinho_id), runId));
+
+  const closed = await runPhase(runReport, 'close_missing', () => closeMissingCarrinhos(closing, openCount, items.length));
+  const runEvents = closed ? events : events.filter(e => e.tipo !== 'disappeared');
+  if (plan) planAdd(plan, 'carrinho_eventos', 'insert', runEvents);
+  else {
+    try {
+      await recordEvents(supabase, runEvents);
+    } catch (e) {
+      runCount(runReport, 'carrinho_eventos', 'failed', runEvents.length);
+      runError(runReport, 'carrinho_eventos', e);
+      throw e;
+    }
+    runCount(runReport, 'carrinho_eventos', 'inserted', runEvents.length);
+  }
 
-  const normalized = items.map(normalizeCarrinho);
+  // new carts and relevant changes go out to WEBHOOK_URLS (failures stay in webhook_entregas for replay)
+  const rowsById = new Map(rows.map(r => [r.carrinho_id, r]));
+  const webhooks = await runPhase(runReport, 'webhooks', () => dispatchWebhooks(supabase, buildCartWebhookEvents(runEvents, rowsById, AS_OF || undefined), config.webhooks, { plan }));
+  runDetail(runReport, 'webhooks', webhooks);
 
-  console.log("Carrinhos encontrados:", normalized.length);
+  if (plan) {
+    printPlanSummary(plan);
+    writePlanFile(plan, PLAN_FILE);
+    await closeRunReport();
+    return;
+  }
 
-  await upsertCarrinhos(normalized);
+  if (deleteBlocked) {
+    await closeRunReport('blocked');
+    console.error("Sincronização concluída SEM fechar carrinhos ausentes (guard de deleção). Verifique o feed.");
+    process.exit(1);
+  }
 
-  const ids = normalized.map(i => String(i.carrinho_id));
-  await deleteMissingCarrinhos(ids);
+  if (await closeRunReport() !== 'ok') {
+    console.error(`Sincronização com taxa de falhas acima do limite (${MAX_FAILURE_RATIO}).`);
+    process.exit(1);
+  }
 
-  await syncProducts(normalized);
+  await recordFeedCount(supabase, 'carrinhos', items.length);
 
   console.log("Sincronização completa!");
 }
 
-main().catch(err => {
+main().catch(async err => {
   console.error("Erro fatal:", err);
+  if (runReport) {
+    runError(runReport, null, err);
+    await closeRunReport('error');
+  }
   process.exit(1);
 });
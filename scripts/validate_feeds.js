@@ -0,0 +1,85 @@
+/* scripts/validate_feeds.js
+   Valida, sem tocar no Supabase, a configuração efetiva (lib/config.js) e os caches
+   dos feeds: JSON válido, array esperado presente e não vazio, e conferência com o
+   <arquivo>.meta.json gravado pelo fetch (sha256 / quantidade de itens).
+
+   Uso: node scripts/validate_feeds.js [carts|general|all] [arquivo] [--config=sync.config.json]
+        (ou node scripts/cli.js validate …)
+*/
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit, printConfig } = require('./lib/config');
+const { FEEDS, feedArrayKeys, inspectFeedFile } = require('./lib/feeds');
+
+const args = parseArgs(process.argv.slice(2));
+
+async function sha256File(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+function readMeta(file) {
+  const metaFile = file.replace(/\.json$/, '.meta.json');
+  if (metaFile === file || !fs.existsSync(metaFile)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+  } catch (e) {
+    return { invalid: e.message };
+  }
+}
+
+// returns the list of problems found (empty = ok)
+async function validateFeed(key, file, config) {
+  const problems = [];
+  console.log(`→ ${key}: ${file}`);
+  if (!fs.existsSync(file)) return [`arquivo não encontrado: ${file}`];
+
+  const check = await inspectFeedFile(file, feedArrayKeys(key, config));
+  if (!check.ok) return [check.reason];
+  const bytes = fs.statSync(file).size;
+  console.log(`  ${bytes} bytes, ${check.count} itens em "${check.arrayKey}"`);
+  if (!check.count) problems.push(`"${check.arrayKey}" está vazio`);
+
+  const meta = readMeta(file);
+  if (meta && meta.invalid) problems.push(`meta.json inválido: ${meta.invalid}`);
+  else if (meta) {
+    if (meta.sha256 && meta.sha256 !== await sha256File(file)) problems.push('sha256 diferente do meta.json (cache alterado fora do fetch?)');
+    if (meta.items !== undefined && meta.items !== check.count) problems.push(`meta.json registra ${meta.items} itens, arquivo tem ${check.count}`);
+  }
+  return problems;
+}
+
+async function main() {
+  const config = loadConfigOrExit(args.flags);
+  printConfig(config);
+
+  const which = args.positional[0] || 'all';
+  const keys = which === 'all' ? Object.keys(FEEDS) : [which];
+  for (const key of keys) {
+    if (!FEEDS[key]) {
+      console.error(`Feed desconhecido: ${key} (use ${Object.keys(FEEDS).join(', ')} ou all)`);
+      process.exit(1);
+    }
+  }
+  if (args.positional[1] && keys.length !== 1) {
+    console.error('Informe o feed (carts ou general) ao validar um arquivo específico.');
+    process.exit(1);
+  }
+
+  let invalid = 0;
+  for (const key of keys) {
+    const problems = await validateFeed(key, args.positional[1] || FEEDS[key].file, config);
+    for (const p of problems) console.error(`  ✖ ${p}`);
+    if (problems.length) invalid++;
+    else console.log('  ✔ ok');
+  }
+  if (invalid) process.exit(1);
+}
+
+main().catch(e => {
+  console.error("Erro fatal:", e.message);
+  process.exit(1);
+});
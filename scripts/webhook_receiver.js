@@ -0,0 +1,67 @@
+/* scripts/webhook_receiver.js
+   Receptor local de webhooks, para testar o envio (lib/webhooks.js) sem o sistema de
+   recuperação real. Confere a assinatura quando WEBHOOK_SECRET está definido, marca
+   ids repetidos e imprime cada evento. --fail-first=N responde 500 às N primeiras
+   requisições, para exercitar os retries.
+
+   Uso: node scripts/webhook_receiver.js [--port=8787] [--fail-first=0] [--out=eventos.jsonl]
+        WEBHOOK_URLS=http://localhost:8787/ node scripts/sync_from_source.js carrinhos.json
+*/
+
+const fs = require('fs');
+const http = require('http');
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { verifySignature } = require('./lib/webhooks');
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.flags.port || 8787);
+const FAIL_FIRST = Number(args.flags['fail-first'] || 0);
+const OUT_FILE = args.flags.out || null;
+const SECRET = loadConfigOrExit(args.flags).webhooks.secret || null;
+
+let requests = 0;
+const seen = new Set();
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    requests++;
+    const body = Buffer.concat(chunks).toString('utf8');
+    const id = req.headers['x-webhook-id'];
+
+    if (requests <= FAIL_FIRST) {
+      console.log(`#${requests} ${id}: 500 simulado (--fail-first=${FAIL_FIRST})`);
+      res.writeHead(500).end();
+      return;
+    }
+    if (SECRET && !verifySignature(SECRET, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature'])) {
+      console.log(`#${requests} ${id}: assinatura inválida`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (e) {
+      res.writeHead(400).end();
+      return;
+    }
+    const duplicate = seen.has(id);
+    seen.add(id);
+    const c = event.carrinho || {};
+    console.log(`#${requests} ${id} ${event.type} carrinho ${c.carrinho_id} total ${c.total_valor}${duplicate ? ' (repetido)' : ''}${SECRET ? ' [assinatura ok]' : ''}`);
+    if (OUT_FILE) fs.appendFileSync(OUT_FILE, JSON.stringify({ received_at: new Date().toISOString(), duplicate, event }) + '\n');
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Receptor de webhooks em http://localhost:${PORT}/${SECRET ? ' (verificando assinatura)' : ''}`);
+});
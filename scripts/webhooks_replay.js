@@ -0,0 +1,71 @@
+/* scripts/webhooks_replay.js
+   Reenvia entregas de webhook que falharam (webhook_entregas.status = 'failed'),
+   com o mesmo id de evento e o mesmo payload, para a URL de WEBHOOK_URLS que
+   corresponde ao destino gravado. Entregas cujo destino não está mais configurado
+   são ignoradas.
+
+   Uso: node scripts/webhooks_replay.js [--id=evt_...] [--since=2024-01-01] [--limit=500] [--dry-run]
+*/
+
+const { parseArgs } = require('./lib/cli_args');
+const { loadConfigOrExit } = require('./lib/config');
+const { createStorageOrExit } = require('./lib/storage');
+const { redactUrl } = require('./lib/feeds');
+const { targetId, deliver, deliveryRow, saveDeliveries } = require('./lib/webhooks');
+
+const args = parseArgs(process.argv.slice(2));
+const config = loadConfigOrExit(args.flags);
+const supabase = createStorageOrExit(config);
+const EVENT_ID = args.flags.id || null;
+const SINCE = args.flags.since || null;
+const LIMIT = Number(args.flags.limit || 500);
+const DRY_RUN = config.sync.dryRun;
+
+async function main() {
+  const targets = new Map(config.webhooks.urls.map(url => [targetId(url), url]));
+  if (!targets.size) {
+    console.log("Nenhuma URL em WEBHOOK_URLS — nada a reenviar.");
+    return;
+  }
+  if (!config.webhooks.secret && !DRY_RUN) {
+    console.error("✖ WEBHOOK_SECRET não definido — entregas sem assinatura não são reenviadas.");
+    process.exit(1);
+  }
+
+  let query = supabase.from('webhook_entregas').select('*').eq('status', 'failed');
+  if (EVENT_ID) query = query.eq('evento_id', EVENT_ID);
+  if (SINCE) query = query.gte('criado_em', SINCE);
+  const { data, error } = await query.order('criado_em', { ascending: true }).limit(LIMIT);
+  if (error) throw new Error(`Erro lendo webhook_entregas: ${error.message || JSON.stringify(error)}`);
+
+  const pending = (data || []).filter(r => targets.has(r.destino));
+  const orphaned = (data || []).length - pending.length;
+  console.log(`→ Entregas com falha: ${(data || []).length} (${pending.length} com destino configurado${orphaned ? `, ${orphaned} sem destino ignoradas` : ''})`);
+  if (DRY_RUN) {
+    for (const r of pending) console.log(`  - ${r.evento_id} ${r.tipo} carrinho ${r.carrinho_id} → ${r.destino_host} (${r.tentativas} tentativas, ${r.erro})`);
+    return;
+  }
+
+  const rows = [];
+  let failed = 0;
+  for (const previous of pending) {
+    const url = targets.get(previous.destino);
+    const result = await deliver(url, previous.payload, config.webhooks);
+    rows.push(deliveryRow(url, previous.payload, result, previous));
+    if (!result.ok) {
+      failed++;
+      console.error(`  ✖ ${previous.evento_id} → ${redactUrl(url)}: ${result.erro}`);
+    } else {
+      console.log(`  ✔ ${previous.evento_id} → ${redactUrl(url)}`);
+    }
+  }
+  await saveDeliveries(supabase, rows);
+
+  console.log(`Replay: ${rows.length - failed} entregues, ${failed} ainda com falha.`);
+  if (failed) process.exit(1);
+}
+
+main().catch(e => {
+  console.error("Fatal error", e);
+  process.exit(1);
+});
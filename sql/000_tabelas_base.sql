@@ -0,0 +1,95 @@
+-- Tabelas base dos syncs, no formato anterior às migrations 001+ (que acrescentam
+-- colunas com add column if not exists). No Supabase já existem; servem para criar
+-- um Postgres do zero (storage.backend = postgres, scripts/lib/storage.js aplica
+-- sql/*.sql em ordem). O SQLite local usa sql/sqlite/schema.sql, já no estado final.
+create table if not exists carrinhos (
+  carrinho_id    text primary key,
+  id_clientes    text,
+  nome           text,
+  email          text,
+  celular        text,
+  data_transacao text,
+  hora_transacao text,
+  total_valor    numeric,
+  produtos       jsonb not null default '[]',
+  raw            jsonb
+);
+
+-- linhas de produto de cada carrinho (trocadas a cada execução, ver sql/012)
+create table if not exists carrinho_produtos (
+  id                  bigserial primary key,
+  carrinho_id_text    text not null,
+  produto_codigo      text,
+  nome_produto        text,
+  imagem              text,
+  tamanho             text,
+  cor                 text,
+  categoria           text,
+  categoria_principal text,
+  marca               text,
+  valor_unitario      numeric,
+  quantidade          integer,
+  valor_total         numeric,
+  raw                 jsonb
+);
+
+create table if not exists import_clientes (
+  codigo               text primary key,
+  cliente_codigo       text,
+  nome                 text,
+  email                text,
+  data_cadastro        timestamptz,
+  whatsapp             text,
+  cidade               text,
+  estado               text,
+  loja_drop            text,
+  representante        text,
+  total_pedidos        integer,
+  valor_total_comprado numeric,
+  criado_em            timestamptz not null default now()
+);
+
+-- id: id do pedido no feed, quando vem; a chave do sync é codigo_pedido
+create table if not exists import_pedidos (
+  codigo_pedido         text primary key,
+  id                    text,
+  cliente_codigo        text not null references import_clientes (codigo),
+  situacao_pedido       text,
+  data_hora_pedido      timestamptz,
+  data_hora_confirmacao timestamptz,
+  valor_total_produtos  numeric,
+  valor_frete           numeric,
+  frete                 text,
+  valor_total_pedido    numeric,
+  desconto              numeric,
+  cidade                text,
+  estado                text,
+  percentual_comissao   numeric,
+  origem_pedido         text,
+  tipo_compra           text,
+  texto_tipo_compra     text,
+  pedidos_loja_drop     text,
+  criado_em             timestamptz not null default now()
+);
+
+create table if not exists import_clientes_produtos (
+  id                  bigserial primary key,
+  cliente_codigo      text not null references import_clientes (codigo),
+  produto_codigo      text,
+  titulo              text,
+  categoria_principal text,
+  categoria           text,
+  subcategoria        text,
+  marca               text,
+  tamanho             text,
+  cor                 text,
+  sku                 text,
+  quantidade          numeric,
+  id_pedido           text,
+  data_pedido         timestamptz,
+  criado_em           timestamptz not null default now()
+);
+
+create index if not exists carrinho_produtos_carrinho_idx       on carrinho_produtos (carrinho_id_text);
+create index if not exists import_pedidos_cliente_idx           on import_pedidos (cliente_codigo);
+create index if not exists import_clientes_produtos_cliente_idx on import_clientes_produtos (cliente_codigo, produto_codigo);
@@ -0,0 +1,8 @@
+-- Ledger do sync de produtos (QUANTITY_MODE = 'delta').
+-- Uma linha por chave composta cliente|produto|pedido com a quantidade do feed
+-- que já foi somada em import_clientes_produtos.
+create table if not exists import_sync_ledger (
+  comp_key      text primary key,
+  quantidade    numeric not null default 0,
+  atualizado_em timestamptz not null default now()
+);
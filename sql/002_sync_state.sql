@@ -0,0 +1,7 @@
+-- Estado persistido entre execuções dos syncs (ex.: feed_count:carrinhos
+-- para o guard de deleção em massa).
+create table if not exists sync_state (
+  key           text primary key,
+  value         jsonb,
+  atualizado_em timestamptz not null default now()
+);
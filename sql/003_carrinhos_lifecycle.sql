@@ -0,0 +1,21 @@
+-- Ciclo de vida dos carrinhos: em vez de apagar o carrinho que some do feed,
+-- o sync marca status = 'closed' e registra os eventos em carrinho_eventos.
+alter table carrinhos add column if not exists status     text not null default 'open';
+alter table carrinhos add column if not exists first_seen timestamptz;
+alter table carrinhos add column if not exists last_seen  timestamptz;
+alter table carrinhos add column if not exists closed_at  timestamptz;
+
+update carrinhos set first_seen = coalesce(first_seen, now()), last_seen = coalesce(last_seen, now());
+
+create index if not exists carrinhos_status_idx on carrinhos (status);
+
+-- tipo: appeared | reopened | items_changed | total_changed | disappeared
+create table if not exists carrinho_eventos (
+  id          bigserial primary key,
+  carrinho_id text not null,
+  tipo        text not null,
+  detalhes    jsonb,
+  criado_em   timestamptz not null default now()
+);
+
+create index if not exists carrinho_eventos_carrinho_idx on carrinho_eventos (carrinho_id, criado_em);
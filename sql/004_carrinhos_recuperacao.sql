@@ -0,0 +1,22 @@
+-- Recuperação de carrinhos (scripts/reconcile_recovery.js): pedido que "fechou"
+-- o carrinho, valor recuperado e tempo até a compra. Também gera o evento
+-- 'recovered' em carrinho_eventos.
+alter table carrinhos add column if not exists recovered_at            timestamptz;
+alter table carrinhos add column if not exists recovered_codigo_pedido text;
+alter table carrinhos add column if not exists recovered_valor         numeric;
+alter table carrinhos add column if not exists recovery_seconds        integer;
+
+create index if not exists carrinhos_recovered_at_idx on carrinhos (recovered_at);
+
+-- número pedido toda semana: carrinhos vistos x recuperados, por semana do carrinho
+create or replace view carrinhos_recuperacao_semanal as
+select
+  date_trunc('week', first_seen)                          as semana,
+  count(*)                                                as carrinhos,
+  count(recovered_at)                                     as recuperados,
+  round(100.0 * count(recovered_at) / nullif(count(*), 0), 2) as taxa_recuperacao_pct,
+  sum(recovered_valor)                                    as valor_recuperado,
+  percentile_cont(0.5) within group (order by recovery_seconds) / 3600.0 as mediana_horas_ate_compra
+from carrinhos
+group by 1
+order by 1 desc;
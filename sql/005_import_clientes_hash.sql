@@ -0,0 +1,7 @@
+-- Hash de conteúdo por cliente do general.json (nó do cliente com pedidos e
+-- produtos_comprados). Clientes com hash igual ao da última execução não são reenviados.
+create table if not exists import_clientes_hash (
+  codigo        text primary key,
+  hash          text not null,
+  atualizado_em timestamptz not null default now()
+);
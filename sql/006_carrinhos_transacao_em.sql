@@ -0,0 +1,9 @@
+-- Data/hora do carrinho como instante (timestamptz). O feed manda data_transacao
+-- "dd/mm/yyyy" e hora_transacao "hh:mm[:ss]" separadas, em horário de São Paulo
+-- (SOURCE_TIMEZONE); o sync combina as duas e grava em UTC. As colunas texto
+-- originais continuam como vieram. Preenchida pelo próximo sync de carrinhos
+-- (datas impossíveis, como 31/02, ficam null); reconcile_recovery.js combina as
+-- colunas texto enquanto ela estiver vazia.
+alter table carrinhos add column if not exists transacao_em timestamptz;
+
+create index if not exists carrinhos_transacao_em_idx on carrinhos (transacao_em);
@@ -0,0 +1,13 @@
+-- Pedidos sem código gravados antes das chaves sintéticas determinísticas
+-- (scripts/lib/synthetic_keys.js). O sync antigo gerava P_<cliente>_<aleatório>
+-- (até 9 dígitos) a cada execução, então cada um deles é uma duplicata. As chaves
+-- novas são P_<cliente>_<hash de 12 hex>[_n]; com o sufixo de ocorrência (_2, _3…)
+-- elas também terminam em _<dígitos>, por isso a view exclui explicitamente essa forma.
+create or replace view import_pedidos_chaves_legadas as
+select *
+from import_pedidos
+where codigo_pedido ~ '^P_.+_[0-9]{1,9}$'
+  and codigo_pedido !~ '^P_.+_[0-9a-f]{12}_[0-9]+$';
+
+-- Conferir a view e, depois de um sync completo com as chaves novas, limpar:
+--   delete from import_pedidos where codigo_pedido in (select codigo_pedido from import_pedidos_chaves_legadas);
@@ -0,0 +1,40 @@
+-- Cliente canônico (scripts/resolve_identities.js): um registro por pessoa, juntando
+-- cadastros de import_clientes e carrinhos ligados por código, e-mail ou telefone
+-- normalizados. import_clientes e carrinhos apontam para ele via cliente_canonico_id.
+-- Um id absorvido por outro grupo (duplicata descoberta depois) fica com mesclado_em.
+create table if not exists clientes_canonicos (
+  id               text primary key,
+  codigo_principal text,
+  emails           text[]      not null default '{}',
+  telefones        text[]      not null default '{}',
+  total_clientes   integer     not null default 0,
+  total_carrinhos  integer     not null default 0,
+  mesclado_em      text references clientes_canonicos (id),
+  atualizado_em    timestamptz not null default now()
+);
+
+alter table import_clientes add column if not exists cliente_canonico_id text references clientes_canonicos (id);
+alter table carrinhos       add column if not exists cliente_canonico_id text references clientes_canonicos (id);
+-- import_clientes.codigo do cliente do carrinho (id_clientes quando existe, senão o cadastro principal)
+alter table carrinhos       add column if not exists cliente_codigo      text;
+
+create index if not exists import_clientes_canonico_idx on import_clientes (cliente_canonico_id);
+create index if not exists carrinhos_canonico_idx       on carrinhos (cliente_canonico_id);
+create index if not exists import_clientes_email_idx    on import_clientes (lower(email));
+
+-- aplica em lote o resultado da resolução (upsert parcial esbarraria em colunas NOT NULL)
+create or replace function aplicar_cliente_canonico(p_clientes jsonb, p_carrinhos jsonb)
+returns void
+language sql
+as $$
+  update import_clientes c
+     set cliente_canonico_id = x.cliente_canonico_id
+    from jsonb_to_recordset(coalesce(p_clientes, '[]'::jsonb)) as x(codigo text, cliente_canonico_id text)
+   where c.codigo::text = x.codigo;
+
+  update carrinhos c
+     set cliente_canonico_id = x.cliente_canonico_id,
+         cliente_codigo      = x.cliente_codigo
+    from jsonb_to_recordset(coalesce(p_carrinhos, '[]'::jsonb)) as x(carrinho_id text, cliente_canonico_id text, cliente_codigo text)
+   where c.carrinho_id::text = x.carrinho_id;
+$$;
@@ -0,0 +1,18 @@
+-- Contatos normalizados (scripts/lib/contacts.js). As colunas originais (email,
+-- celular, whatsapp) continuam exatamente como o fornecedor manda; ao lado ficam:
+--   *_e164            telefone em E.164 (+55DDDNUMERO), null se vazio ou inválido
+--   *_tipo            'mobile' | 'landline' | 'invalid' (null quando não veio telefone)
+--   email_normalizado e-mail validado e em minúsculas, null se inválido
+alter table carrinhos add column if not exists email_normalizado text;
+alter table carrinhos add column if not exists celular_e164      text;
+alter table carrinhos add column if not exists celular_tipo      text
+  check (celular_tipo in ('mobile', 'landline', 'invalid'));
+
+alter table import_clientes add column if not exists email_normalizado text;
+alter table import_clientes add column if not exists whatsapp_e164     text;
+alter table import_clientes add column if not exists whatsapp_tipo     text
+  check (whatsapp_tipo in ('mobile', 'landline', 'invalid'));
+
+create index if not exists carrinhos_celular_e164_idx        on carrinhos (celular_e164);
+create index if not exists import_clientes_email_norm_idx    on import_clientes (email_normalizado);
+create index if not exists import_clientes_whatsapp_e164_idx on import_clientes (whatsapp_e164);
@@ -0,0 +1,23 @@
+-- Log de entregas dos webhooks de carrinho (scripts/lib/webhooks.js).
+-- Uma linha por evento x destino; destino é um hash da URL (a URL pode ter token),
+-- destino_host só o esquema + host. status 'failed' é reenviado por
+-- scripts/webhooks_replay.js, que soma as tentativas na mesma linha.
+create table if not exists webhook_entregas (
+  evento_id     text        not null,
+  destino       text        not null,
+  destino_host  text,
+  tipo          text        not null,
+  carrinho_id   text,
+  payload       jsonb       not null,
+  status        text        not null check (status in ('delivered', 'failed')),
+  tentativas    integer     not null default 0,
+  http_status   integer,
+  erro          text,
+  criado_em     timestamptz not null default now(),
+  entregue_em   timestamptz,
+  atualizado_em timestamptz not null default now(),
+  primary key (evento_id, destino)
+);
+
+create index if not exists webhook_entregas_falhas_idx on webhook_entregas (criado_em) where status = 'failed';
+create index if not exists webhook_entregas_carrinho_idx on webhook_entregas (carrinho_id);
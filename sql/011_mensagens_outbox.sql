@@ -0,0 +1,29 @@
+-- Outbox das mensagens de recuperação de carrinho (scripts/cart_cadence.js).
+-- O agendador só insere; quem dispara (WhatsApp / e-mail) lê status = 'pending'
+-- com agendado_para <= now() e marca 'sent' / 'failed'. dedupe_key = carrinho:etapa
+-- garante no máximo uma mensagem por carrinho e etapa; cliente_chave (cliente
+-- canônico, e-mail ou telefone) é usado para não repetir a etapa para a mesma pessoa.
+create table if not exists mensagens_outbox (
+  id                  bigserial primary key,
+  dedupe_key          text        not null unique,
+  carrinho_id         text        not null,
+  cliente_chave       text        not null,
+  etapa               text        not null,
+  canal               text        not null check (canal in ('whatsapp', 'email')),
+  destino             text        not null,
+  assunto             text,
+  texto               text        not null,
+  imagens             jsonb       not null default '[]',
+  variaveis           jsonb,
+  status              text        not null default 'pending'
+                      check (status in ('pending', 'sent', 'failed', 'cancelled')),
+  agendado_para       timestamptz not null,
+  criado_em           timestamptz not null default now(),
+  enviado_em          timestamptz,
+  cancelado_em        timestamptz,
+  motivo_cancelamento text
+);
+
+create index if not exists mensagens_outbox_pendentes_idx on mensagens_outbox (agendado_para) where status = 'pending';
+create index if not exists mensagens_outbox_cliente_idx   on mensagens_outbox (cliente_chave, etapa, criado_em);
+create index if not exists mensagens_outbox_carrinho_idx  on mensagens_outbox (carrinho_id);
@@ -0,0 +1,16 @@
+-- Troca atômica dos produtos de carrinho (scripts/sync_from_source.js).
+-- Cada execução grava os produtos com um run_id novo; o upsert de carrinhos aponta
+-- produtos_run_id para ele e só depois as linhas antigas são apagadas. Leitores usam
+-- carrinho_produtos_atual, que mostra apenas as linhas da run atual de cada carrinho
+-- (linhas anteriores a esta migration têm run_id null e continuam visíveis até a
+-- primeira execução que tocar o carrinho).
+alter table carrinho_produtos add column if not exists run_id text;
+alter table carrinhos         add column if not exists produtos_run_id text;
+
+create index if not exists carrinho_produtos_carrinho_run_idx on carrinho_produtos (carrinho_id_text, run_id);
+
+create or replace view carrinho_produtos_atual as
+select p.*
+from carrinho_produtos p
+join carrinhos c on c.carrinho_id::text = p.carrinho_id_text
+where p.run_id is not distinct from c.produtos_run_id;
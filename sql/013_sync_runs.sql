@@ -0,0 +1,49 @@
+-- Uma linha por execução de sync_from_source.js (tipo 'carrinhos') e
+-- sync_from_general.js (tipo 'gerais'), gravada no fim por scripts/lib/run_report.js.
+-- tabelas: { tabela: { read, inserted, updated, upserted, deleted, skipped, failed } }
+-- etapas: duração (ms) por etapa; erros: até 20 amostras { table, message, code, context, at }.
+-- status: ok | failed (taxa_falha > limite_taxa_falha) | blocked (guard de deleção) | error (exceção)
+create table if not exists sync_runs (
+  id                uuid primary key,
+  tipo              text        not null,
+  fonte             text,
+  status            text        not null check (status in ('ok', 'failed', 'blocked', 'error')),
+  iniciado_em       timestamptz not null,
+  finalizado_em     timestamptz,
+  duracao_ms        bigint,
+  feed_bytes        bigint,
+  feed_sha256       text,
+  feed_itens        integer,
+  tabelas           jsonb       not null default '{}',
+  etapas            jsonb       not null default '{}',
+  detalhes          jsonb       not null default '{}',
+  erros             jsonb       not null default '[]',
+  total_erros       integer     not null default 0,
+  taxa_falha        numeric,
+  limite_taxa_falha numeric
+);
+
+create index if not exists sync_runs_tipo_idx on sync_runs (tipo, iniciado_em desc);
+
+-- Saúde de cada sync: última execução, último sucesso e há quantos minutos.
+create or replace view sync_saude as
+select
+  u.tipo,
+  u.status                                                    as ultimo_status,
+  u.iniciado_em                                               as ultima_execucao,
+  u.taxa_falha                                                as ultima_taxa_falha,
+  u.total_erros                                               as ultimos_erros,
+  u.feed_sha256                                               as ultimo_feed_sha256,
+  ok.ultimo_ok,
+  round(extract(epoch from (now() - ok.ultimo_ok)) / 60)      as minutos_desde_ultimo_ok
+from (
+  select distinct on (tipo) *
+  from sync_runs
+  order by tipo, iniciado_em desc
+) u
+left join (
+  select tipo, max(iniciado_em) as ultimo_ok
+  from sync_runs
+  where status = 'ok'
+  group by tipo
+) ok on ok.tipo = u.tipo;
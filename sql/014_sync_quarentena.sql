@@ -0,0 +1,21 @@
+-- Registros dos feeds que não passaram no esquema (scripts/lib/schemas.js) e ficaram
+-- fora do sync. Gravados por scripts/lib/quarantine.js.
+-- id: hash de feed + tipo + registro, então o mesmo registro inválido em execuções
+-- seguidas só atualiza ultima_execucao / visto_em (primeira_vez fica com a primeira).
+-- tipo: carrinho | cliente | pedido | produto_comprado; motivos: ["campo: motivo", …]
+-- ultima_execucao: sync_runs.id da execução mais recente que viu o registro.
+create table if not exists sync_quarentena (
+  id              text primary key,
+  feed            text        not null,
+  tipo            text        not null,
+  chave           text,
+  motivos         jsonb       not null default '[]',
+  contexto        jsonb,
+  registro        jsonb,
+  ultima_execucao uuid,
+  primeira_vez    timestamptz not null default now(),
+  visto_em        timestamptz not null default now()
+);
+
+create index if not exists sync_quarentena_feed_idx on sync_quarentena (feed, tipo, visto_em desc);
+create index if not exists sync_quarentena_chave_idx on sync_quarentena (tipo, chave);
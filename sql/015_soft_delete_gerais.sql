@@ -0,0 +1,23 @@
+-- Reconciliação do sync general (scripts/sync_from_general.js, general.reconcile):
+-- linhas que saíram do feed ganham deleted_at em vez de serem apagadas, voltam
+-- (deleted_at null) se reaparecerem e só são removidas de vez depois de
+-- general.purgeAfterDays dias marcadas.
+-- Chaves: import_clientes.codigo, import_pedidos.codigo_pedido e, em
+-- import_clientes_produtos, cliente_codigo|produto_codigo|coalesce(id_pedido, 0).
+alter table import_clientes          add column if not exists deleted_at timestamptz;
+alter table import_pedidos           add column if not exists deleted_at timestamptz;
+alter table import_clientes_produtos add column if not exists deleted_at timestamptz;
+
+create index if not exists import_clientes_deleted_idx          on import_clientes (deleted_at) where deleted_at is not null;
+create index if not exists import_pedidos_deleted_idx           on import_pedidos (deleted_at) where deleted_at is not null;
+create index if not exists import_clientes_produtos_deleted_idx on import_clientes_produtos (deleted_at) where deleted_at is not null;
+
+-- Leitura: só o que ainda está no feed.
+create or replace view import_clientes_ativos as
+select * from import_clientes where deleted_at is null;
+
+create or replace view import_pedidos_ativos as
+select * from import_pedidos where deleted_at is null;
+
+create or replace view import_clientes_produtos_ativos as
+select * from import_clientes_produtos where deleted_at is null;
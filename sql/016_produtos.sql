@@ -0,0 +1,76 @@
+-- Catálogo de produtos (scripts/lib/catalog.js): uma linha por código de produto,
+-- mantida pelos dois syncs. Carrinhos trazem título, imagem, marca, categorias e
+-- valor_unitario; o feed general traz título, marca, categorias, subcategoria e sku.
+-- Cada sync só grava os campos do seu feed, e campo vazio no feed não apaga o do catálogo.
+-- produtos_precos guarda uma linha a cada mudança de valor_unitario.
+-- carrinho_produtos e import_clientes_produtos referenciam o catálogo por produto_codigo
+-- (os syncs gravam o catálogo antes das linhas de produto).
+create table if not exists produtos (
+  codigo                text primary key,
+  titulo                text,
+  imagem                text,
+  marca                 text,
+  categoria_principal   text,
+  categoria             text,
+  subcategoria          text,
+  sku                   text,
+  ultimo_valor_unitario numeric,
+  preco_desde           timestamptz,
+  primeira_vez          timestamptz not null default now(),
+  atualizado_em         timestamptz not null default now()
+);
+
+create table if not exists produtos_precos (
+  id             bigserial primary key,
+  produto_codigo text not null references produtos (codigo),
+  valor_unitario numeric not null,
+  fonte          text not null,
+  run_id         text,
+  visto_em       timestamptz not null default now()
+);
+create index if not exists produtos_precos_produto_idx on produtos_precos (produto_codigo, visto_em desc);
+
+-- catálogo inicial a partir das linhas já gravadas (a mais recente de cada código),
+-- para as foreign keys abaixo valerem
+insert into produtos (codigo, titulo, imagem, marca, categoria_principal, categoria, ultimo_valor_unitario, preco_desde)
+select distinct on (produto_codigo)
+       produto_codigo, nome_produto, imagem, marca, categoria_principal, categoria, valor_unitario,
+       case when valor_unitario is not null then now() end
+  from carrinho_produtos
+ where produto_codigo is not null
+ order by produto_codigo, id desc
+on conflict (codigo) do nothing;
+
+insert into produtos (codigo, titulo, marca, categoria_principal, categoria, subcategoria, sku)
+select distinct on (produto_codigo)
+       produto_codigo, titulo, marca, categoria_principal, categoria, subcategoria, sku
+  from import_clientes_produtos
+ where produto_codigo is not null
+ order by produto_codigo, id desc
+on conflict (codigo) do update set
+  titulo              = coalesce(produtos.titulo, excluded.titulo),
+  marca               = coalesce(produtos.marca, excluded.marca),
+  categoria_principal = coalesce(produtos.categoria_principal, excluded.categoria_principal),
+  categoria           = coalesce(produtos.categoria, excluded.categoria),
+  subcategoria        = excluded.subcategoria,
+  sku                 = excluded.sku;
+
+insert into produtos_precos (produto_codigo, valor_unitario, fonte)
+select p.codigo, p.ultimo_valor_unitario, 'carrinhos'
+  from produtos p
+ where p.ultimo_valor_unitario is not null
+   and not exists (select 1 from produtos_precos h where h.produto_codigo = p.codigo);
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'carrinho_produtos_produto_fk') then
+    alter table carrinho_produtos
+      add constraint carrinho_produtos_produto_fk foreign key (produto_codigo) references produtos (codigo);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'import_clientes_produtos_produto_fk') then
+    alter table import_clientes_produtos
+      add constraint import_clientes_produtos_produto_fk foreign key (produto_codigo) references produtos (codigo);
+  end if;
+end $$;
+
+create index if not exists carrinho_produtos_produto_idx on carrinho_produtos (produto_codigo);
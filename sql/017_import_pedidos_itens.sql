@@ -0,0 +1,40 @@
+-- Itens de pedido (scripts/sync_from_general.js): as linhas de produtos_comprados com o
+-- pedido a que pertencem. Ao contrário de import_clientes_produtos (agregado por
+-- cliente|produto|pedido, quantidade em delta), cada linha guarda a quantidade do feed,
+-- a variante (tamanho / cor / sku) e o valor quando o feed traz.
+-- chave: cliente|id_pedido (0 sem pedido)|produto|tamanho|cor|sku.
+-- id_pedido é o que veio no feed; codigo_pedido só é preenchido quando ele resolve para
+-- um pedido de import_pedidos (codigo_pedido ou id do feed, primeiro entre os pedidos do
+-- mesmo cliente). Os que não resolvem ficam em import_pedidos_itens_sem_vinculo.
+create table if not exists import_pedidos_itens (
+  chave          text primary key,
+  cliente_codigo text not null references import_clientes (codigo),
+  id_pedido      text,
+  codigo_pedido  text references import_pedidos (codigo_pedido) on delete set null,
+  produto_codigo text references produtos (codigo),
+  titulo         text,
+  tamanho        text,
+  cor            text,
+  sku            text,
+  quantidade     numeric,
+  valor_unitario numeric,
+  valor_total    numeric,
+  data_pedido    timestamptz,
+  criado_em      timestamptz not null default now(),
+  atualizado_em  timestamptz not null default now(),
+  deleted_at     timestamptz
+);
+create index if not exists import_pedidos_itens_pedido_idx  on import_pedidos_itens (codigo_pedido);
+create index if not exists import_pedidos_itens_produto_idx on import_pedidos_itens (produto_codigo);
+create index if not exists import_pedidos_itens_cliente_idx on import_pedidos_itens (cliente_codigo);
+create index if not exists import_pedidos_itens_pendentes_idx on import_pedidos_itens (id_pedido)
+  where codigo_pedido is null and id_pedido is not null;
+create index if not exists import_pedidos_itens_deleted_idx on import_pedidos_itens (deleted_at) where deleted_at is not null;
+
+create or replace view import_pedidos_itens_ativos as
+select * from import_pedidos_itens where deleted_at is null;
+
+-- id_pedido informado que não casa com nenhum pedido ativo
+create or replace view import_pedidos_itens_sem_vinculo as
+select * from import_pedidos_itens
+where deleted_at is null and id_pedido is not null and codigo_pedido is null;
@@ -0,0 +1,6 @@
+-- Total do feed por chave dentro de uma execução do sync general (modo delta), antes
+-- mantido em memória pelo script: quando o mesmo cliente aparece de novo num lote
+-- seguinte, a quantidade dele soma à que a execução já viu. quantidade_run só vale
+-- para a execução run_id (sync_runs.id); em outra execução conta como zero.
+alter table import_sync_ledger add column if not exists run_id         text;
+alter table import_sync_ledger add column if not exists quantidade_run numeric;
@@ -0,0 +1,13 @@
+-- Valor recuperado (scripts/reconcile_recovery.js): recovered_valor passa a ser o
+-- valor_total_pedido do pedido que fechou o carrinho. A soma dos itens do carrinho
+-- que aparecem no pedido fica à parte, em recovered_valor_itens.
+alter table carrinhos add column if not exists recovered_valor_itens numeric;
+
+-- Carrinhos já recuperados guardavam a soma dos itens em recovered_valor (e o script só
+-- revisita os que têm recovered_at null): o valor antigo vai para recovered_valor_itens e
+-- recovered_valor é refeito a partir do pedido (null se o pedido não está mais lá).
+update carrinhos c
+set recovered_valor_itens = c.recovered_valor,
+    recovered_valor = (select p.valor_total_pedido from import_pedidos p where p.codigo_pedido = c.recovered_codigo_pedido)
+where c.recovered_at is not null
+  and c.recovered_valor_itens is null;
@@ -0,0 +1,313 @@
+-- Esquema do backend SQLite local (storage.backend = sqlite, scripts/lib/storage.js):
+-- as tabelas de sql/000–019 já no estado final, aplicado inteiro a cada abertura
+-- (tudo é if not exists). Ao mudar uma migration do Postgres, mude aqui também.
+-- Tipos: JSON = jsonb/arrays (texto JSON, decodificado na leitura), BOOLEAN = 0/1,
+-- TIMESTAMP = texto ISO 8601; uuid vira TEXT. Views só as que os scripts leem.
+pragma foreign_keys = on;
+
+create table if not exists carrinhos (
+  carrinho_id             text primary key,
+  id_clientes             text,
+  nome                    text,
+  email                   text,
+  email_normalizado       text,
+  celular                 text,
+  celular_e164            text,
+  celular_tipo            text check (celular_tipo in ('mobile', 'landline', 'invalid')),
+  data_transacao          text,
+  hora_transacao          text,
+  transacao_em            timestamp,
+  total_valor             real,
+  produtos                json not null default '[]',
+  raw                     json,
+  status                  text not null default 'open',
+  first_seen              timestamp,
+  last_seen               timestamp,
+  closed_at               timestamp,
+  recovered_at            timestamp,
+  recovered_codigo_pedido text,
+  recovered_valor         real,
+  recovered_valor_itens   real,
+  recovery_seconds        integer,
+  produtos_run_id         text,
+  cliente_canonico_id     text references clientes_canonicos (id),
+  cliente_codigo          text
+);
+create index if not exists carrinhos_status_idx       on carrinhos (status);
+create index if not exists carrinhos_transacao_em_idx on carrinhos (transacao_em);
+create index if not exists carrinhos_celular_e164_idx on carrinhos (celular_e164);
+
+create table if not exists carrinho_produtos (
+  id                  integer primary key autoincrement,
+  carrinho_id_text    text not null,
+  run_id              text,
+  produto_codigo      text references produtos (codigo),
+  nome_produto        text,
+  imagem              text,
+  tamanho             text,
+  cor                 text,
+  categoria           text,
+  categoria_principal text,
+  marca               text,
+  valor_unitario      real,
+  quantidade          integer,
+  valor_total         real,
+  raw                 json
+);
+create index if not exists carrinho_produtos_carrinho_run_idx on carrinho_produtos (carrinho_id_text, run_id);
+create index if not exists carrinho_produtos_produto_idx      on carrinho_produtos (produto_codigo);
+
+create view if not exists carrinho_produtos_atual as
+select p.*
+from carrinho_produtos p
+join carrinhos c on c.carrinho_id = p.carrinho_id_text
+where p.run_id is c.produtos_run_id;
+
+create table if not exists produtos (
+  codigo                text primary key,
+  titulo                text,
+  imagem                text,
+  marca                 text,
+  categoria_principal   text,
+  categoria             text,
+  subcategoria          text,
+  sku                   text,
+  ultimo_valor_unitario real,
+  preco_desde           timestamp,
+  primeira_vez          timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  atualizado_em         timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists produtos_precos (
+  id             integer primary key autoincrement,
+  produto_codigo text not null references produtos (codigo),
+  valor_unitario real not null,
+  fonte          text not null,
+  run_id         text,
+  visto_em       timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists produtos_precos_produto_idx on produtos_precos (produto_codigo, visto_em desc);
+
+create table if not exists carrinho_eventos (
+  id          integer primary key autoincrement,
+  carrinho_id text not null,
+  tipo        text not null,
+  detalhes    json,
+  criado_em   timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists carrinho_eventos_carrinho_idx on carrinho_eventos (carrinho_id, criado_em);
+
+create table if not exists clientes_canonicos (
+  id               text primary key,
+  codigo_principal text,
+  emails           json not null default '[]',
+  telefones        json not null default '[]',
+  total_clientes   integer not null default 0,
+  total_carrinhos  integer not null default 0,
+  mesclado_em      text references clientes_canonicos (id),
+  atualizado_em    timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists import_clientes (
+  codigo               text primary key,
+  cliente_codigo       text,
+  nome                 text,
+  email                text,
+  email_normalizado    text,
+  data_cadastro        timestamp,
+  whatsapp             text,
+  whatsapp_e164        text,
+  whatsapp_tipo        text check (whatsapp_tipo in ('mobile', 'landline', 'invalid')),
+  cidade               text,
+  estado               text,
+  loja_drop            text,
+  representante        text,
+  total_pedidos        integer,
+  valor_total_comprado real,
+  cliente_canonico_id  text references clientes_canonicos (id),
+  criado_em            timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  deleted_at           timestamp
+);
+create index if not exists import_clientes_canonico_idx      on import_clientes (cliente_canonico_id);
+create index if not exists import_clientes_email_norm_idx    on import_clientes (email_normalizado);
+create index if not exists import_clientes_whatsapp_e164_idx on import_clientes (whatsapp_e164);
+create index if not exists import_clientes_deleted_idx       on import_clientes (deleted_at) where deleted_at is not null;
+
+create table if not exists import_pedidos (
+  codigo_pedido         text primary key,
+  id                    text,
+  cliente_codigo        text not null references import_clientes (codigo),
+  situacao_pedido       text,
+  data_hora_pedido      timestamp,
+  data_hora_confirmacao timestamp,
+  valor_total_produtos  real,
+  valor_frete           real,
+  frete                 text,
+  valor_total_pedido    real,
+  desconto              real,
+  cidade                text,
+  estado                text,
+  percentual_comissao   real,
+  origem_pedido         text,
+  tipo_compra           text,
+  texto_tipo_compra     text,
+  pedidos_loja_drop     text,
+  criado_em             timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  deleted_at            timestamp
+);
+create index if not exists import_pedidos_cliente_idx  on import_pedidos (cliente_codigo);
+create index if not exists import_pedidos_deleted_idx  on import_pedidos (deleted_at) where deleted_at is not null;
+
+create table if not exists import_clientes_produtos (
+  id                  integer primary key autoincrement,
+  cliente_codigo      text not null references import_clientes (codigo),
+  produto_codigo      text references produtos (codigo),
+  titulo              text,
+  categoria_principal text,
+  categoria           text,
+  subcategoria        text,
+  marca               text,
+  tamanho             text,
+  cor                 text,
+  sku                 text,
+  quantidade          real,
+  id_pedido           text,
+  data_pedido         timestamp,
+  criado_em           timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  deleted_at          timestamp
+);
+create index if not exists import_clientes_produtos_cliente_idx on import_clientes_produtos (cliente_codigo, produto_codigo);
+create index if not exists import_clientes_produtos_deleted_idx on import_clientes_produtos (deleted_at) where deleted_at is not null;
+
+create table if not exists import_pedidos_itens (
+  chave          text primary key,
+  cliente_codigo text not null references import_clientes (codigo),
+  id_pedido      text,
+  codigo_pedido  text references import_pedidos (codigo_pedido) on delete set null,
+  produto_codigo text references produtos (codigo),
+  titulo         text,
+  tamanho        text,
+  cor            text,
+  sku            text,
+  quantidade     real,
+  valor_unitario real,
+  valor_total    real,
+  data_pedido    timestamp,
+  criado_em      timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  atualizado_em  timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  deleted_at     timestamp
+);
+create index if not exists import_pedidos_itens_pedido_idx    on import_pedidos_itens (codigo_pedido);
+create index if not exists import_pedidos_itens_produto_idx   on import_pedidos_itens (produto_codigo);
+create index if not exists import_pedidos_itens_cliente_idx   on import_pedidos_itens (cliente_codigo);
+create index if not exists import_pedidos_itens_pendentes_idx on import_pedidos_itens (id_pedido)
+  where codigo_pedido is null and id_pedido is not null;
+create index if not exists import_pedidos_itens_deleted_idx   on import_pedidos_itens (deleted_at) where deleted_at is not null;
+
+create view if not exists import_clientes_ativos as
+select * from import_clientes where deleted_at is null;
+
+create view if not exists import_pedidos_ativos as
+select * from import_pedidos where deleted_at is null;
+
+create view if not exists import_clientes_produtos_ativos as
+select * from import_clientes_produtos where deleted_at is null;
+
+create table if not exists import_sync_ledger (
+  comp_key       text primary key,
+  quantidade     real not null default 0,
+  run_id         text,
+  quantidade_run real,
+  atualizado_em  timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists import_clientes_hash (
+  codigo        text primary key,
+  hash          text not null,
+  atualizado_em timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists sync_state (
+  key           text primary key,
+  value         json,
+  atualizado_em timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists webhook_entregas (
+  evento_id     text not null,
+  destino       text not null,
+  destino_host  text,
+  tipo          text not null,
+  carrinho_id   text,
+  payload       json not null,
+  status        text not null check (status in ('delivered', 'failed')),
+  tentativas    integer not null default 0,
+  http_status   integer,
+  erro          text,
+  criado_em     timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  entregue_em   timestamp,
+  atualizado_em timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (evento_id, destino)
+);
+create index if not exists webhook_entregas_falhas_idx   on webhook_entregas (criado_em) where status = 'failed';
+create index if not exists webhook_entregas_carrinho_idx on webhook_entregas (carrinho_id);
+
+create table if not exists mensagens_outbox (
+  id                  integer primary key autoincrement,
+  dedupe_key          text not null unique,
+  carrinho_id         text not null,
+  cliente_chave       text not null,
+  etapa               text not null,
+  canal               text not null check (canal in ('whatsapp', 'email')),
+  destino             text not null,
+  assunto             text,
+  texto               text not null,
+  imagens             json not null default '[]',
+  variaveis           json,
+  status              text not null default 'pending'
+                      check (status in ('pending', 'sent', 'failed', 'cancelled')),
+  agendado_para       timestamp not null,
+  criado_em           timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  enviado_em          timestamp,
+  cancelado_em        timestamp,
+  motivo_cancelamento text
+);
+create index if not exists mensagens_outbox_pendentes_idx on mensagens_outbox (agendado_para) where status = 'pending';
+create index if not exists mensagens_outbox_cliente_idx   on mensagens_outbox (cliente_chave, etapa, criado_em);
+create index if not exists mensagens_outbox_carrinho_idx  on mensagens_outbox (carrinho_id);
+
+create table if not exists sync_runs (
+  id                text primary key,
+  tipo              text not null,
+  fonte             text,
+  status            text not null check (status in ('ok', 'failed', 'blocked', 'error')),
+  iniciado_em       timestamp not null,
+  finalizado_em     timestamp,
+  duracao_ms        integer,
+  feed_bytes        integer,
+  feed_sha256       text,
+  feed_itens        integer,
+  tabelas           json not null default '{}',
+  etapas            json not null default '{}',
+  detalhes          json not null default '{}',
+  erros             json not null default '[]',
+  total_erros       integer not null default 0,
+  taxa_falha        real,
+  limite_taxa_falha real
+);
+create index if not exists sync_runs_tipo_idx on sync_runs (tipo, iniciado_em desc);
+
+create table if not exists sync_quarentena (
+  id              text primary key,
+  feed            text not null,
+  tipo            text not null,
+  chave           text,
+  motivos         json not null default '[]',
+  contexto        json,
+  registro        json,
+  ultima_execucao text,
+  primeira_vez    timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  visto_em        timestamp not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists sync_quarentena_feed_idx  on sync_quarentena (feed, tipo, visto_em desc);
+create index if not exists sync_quarentena_chave_idx on sync_quarentena (tipo, chave);